@@ -0,0 +1,220 @@
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { createMockBudgets, createMockConnector } from '../src/actualMockConnector.js';
+
+function withoutPassword(body) {
+  const { password: _password, ...rest } = body || {};
+  return rest;
+}
+
+/**
+ * Stand-in for the Actual HTTP wrapper the importer talks to. Budgets live in
+ * memory and are handled by the same code as the mock connector. Run it with
+ * `npm run fake-actual -w backend` and point the importer at
+ * http://localhost:5007 (password `test`), or start it in-process with
+ * `startFakeActualServer`.
+ *
+ * Besides the Actual endpoints it offers:
+ * - `GET /__state` budgets, received requests and active faults
+ * - `GET /__imports` every import-transactions call with its transactions
+ * - `POST /__faults` `{ endpoint, status, message, delayMs, times }` to make
+ *   an endpoint (or all with `*`) fail or respond slowly
+ * - `DELETE /__faults` and `POST /__reset`
+ */
+export function createFakeActualServer({ password = 'test', budgets } = {}) {
+  const initialBudgets = budgets ? structuredClone(budgets) : createMockBudgets();
+  const state = { budgets: structuredClone(initialBudgets) };
+  const requests = [];
+  let faults = [];
+
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  function injectFault({ endpoint = '*', status = null, message = '', delayMs = 0, times = null } = {}) {
+    const fault = { endpoint, status: status ? Number(status) : null, message, delayMs: Number(delayMs) || 0, times };
+    faults.push(fault);
+    return fault;
+  }
+
+  function clearFaults() {
+    faults = [];
+  }
+
+  function reset() {
+    state.budgets = structuredClone(initialBudgets);
+    requests.length = 0;
+    clearFaults();
+  }
+
+  function takeFault(endpoint) {
+    const fault = faults.find((item) => item.endpoint === '*' || item.endpoint === endpoint);
+    if (fault && fault.times !== null) {
+      fault.times -= 1;
+      if (fault.times <= 0) {
+        faults = faults.filter((item) => item !== fault);
+      }
+    }
+    return fault;
+  }
+
+  app.get('/__state', (_req, res) => {
+    res.json({ budgets: state.budgets, requests, faults });
+  });
+
+  app.get('/__imports', (_req, res) => {
+    res.json({ imports: requests.filter((request) => request.endpoint === '/api/import-transactions') });
+  });
+
+  app.post('/__faults', (req, res) => {
+    res.status(201).json({ fault: injectFault(req.body) });
+  });
+
+  app.delete('/__faults', (_req, res) => {
+    clearFaults();
+    res.status(204).end();
+  });
+
+  app.post('/__reset', (_req, res) => {
+    reset();
+    res.status(204).end();
+  });
+
+  app.use('/api', (req, res, next) => {
+    const endpoint = `/api${req.path}`;
+    const fault = takeFault(endpoint);
+    requests.push({
+      endpoint,
+      body: withoutPassword(req.body),
+      // The password itself is never kept, only whether one was sent.
+      hasPassword: Boolean(req.body?.password),
+      at: new Date().toISOString(),
+      fault: fault || null
+    });
+
+    setTimeout(() => {
+      if (fault?.status) {
+        res.status(fault.status).json({ error: fault.message || `Nagebootste fout ${fault.status}.` });
+        return;
+      }
+
+      if (req.body?.password !== password) {
+        res.status(401).json({ error: 'Ongeldig wachtwoord.' });
+        return;
+      }
+      next();
+    }, fault?.delayMs || 0);
+  });
+
+  function route(endpoint, handler) {
+    app.post(endpoint, async (req, res) => {
+      const connector = createMockConnector({ budgetId: req.body?.budgetId }, state);
+      try {
+        res.json(await handler(connector, req.body));
+      } catch (error) {
+        res.status(error.status || 404).json({ error: error.message });
+      }
+    });
+  }
+
+  function requireBudget(connector) {
+    if (!connector.config.budgetId) {
+      throw Object.assign(new Error('budgetId ontbreekt.'), { status: 400 });
+    }
+  }
+
+  route('/api/budgets', async (connector) => ({
+    budgets: (await connector.listBudgets()).map(({ id, name }) => ({ id, name }))
+  }));
+
+  route('/api/accounts', async (connector) => {
+    requireBudget(connector);
+    return { accounts: (await connector.listAccounts()).map((account) => account.raw) };
+  });
+
+  route('/api/create-account', async (connector, { account = {}, initialBalance = 0 }) => {
+    requireBudget(connector);
+    if (!String(account.name || '').trim()) {
+      throw Object.assign(new Error('Accountnaam ontbreekt.'), { status: 400 });
+    }
+    return { id: await connector.createAccount({ name: account.name, offBudget: account.offbudget }, initialBalance) };
+  });
+
+  route('/api/categories', async (connector) => {
+    requireBudget(connector);
+    const categories = await connector.listCategories();
+    return {
+      categories: categories.map(({ id, name, group, isIncome }) => ({
+        id,
+        name,
+        group_name: group,
+        is_income: isIncome
+      }))
+    };
+  });
+
+  route('/api/payees', async (connector) => {
+    requireBudget(connector);
+    const accounts = await connector.listAccounts();
+    const transferPayees = await connector.getTransferPayees();
+    return {
+      payees: accounts.map((account) => ({
+        id: transferPayees.get(account.id),
+        name: account.name,
+        transfer_acct: account.id
+      }))
+    };
+  });
+
+  route('/api/import-transactions', async (connector, { accountId, transactions = [] }) => {
+    requireBudget(connector);
+    return connector.importTransactions(accountId, transactions);
+  });
+
+  route('/api/transactions', async (connector, { accountId, startDate, endDate }) => {
+    requireBudget(connector);
+    return { transactions: await connector.getTransactions(accountId, startDate, endDate) };
+  });
+
+  route('/api/account-balance', async (connector, { accountId, cutoff }) => {
+    requireBudget(connector);
+    return { balance: await connector.getAccountBalance(accountId, cutoff) };
+  });
+
+  route('/api/delete-transactions', async (connector, { ids = [] }) => {
+    requireBudget(connector);
+    const budget = state.budgets.find((item) => item.id === connector.config.budgetId);
+    const before = budget?.transactions.length ?? 0;
+    await connector.deleteTransactions(ids);
+    return { deleted: before - budget.transactions.length };
+  });
+
+  return { app, state, requests, injectFault, clearFaults, reset };
+}
+
+/**
+ * Starts a fake server in this process. Port 0 picks a free port; the returned
+ * `url` can be used as Actual server URL.
+ */
+export function startFakeActualServer({ port = 0, ...options } = {}) {
+  const fake = createFakeActualServer(options);
+
+  return new Promise((resolve, reject) => {
+    const server = fake.app.listen(port, () => {
+      resolve({
+        ...fake,
+        server,
+        url: `http://localhost:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.FAKE_ACTUAL_PORT || 5007);
+  const password = process.env.FAKE_ACTUAL_PASSWORD || 'test';
+  startFakeActualServer({ port, password }).then(() => {
+    console.log(`Nep-Actual server draait op poort ${port} (wachtwoord: ${password})`);
+  });
+}
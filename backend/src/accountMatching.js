@@ -0,0 +1,112 @@
+import { normalizeIban } from './iban.js';
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('accountLinks.json', { budgets: {} });
+
+const CONFIDENCE_RANK = { high: 3, medium: 2, low: 1 };
+
+function isAccountKey(key) {
+  return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(key) || /^\d{6,}$/.test(key);
+}
+
+export async function getAccountLinks(budgetId) {
+  const { budgets } = await store.read();
+  return budgets[budgetId] || {};
+}
+
+/**
+ * Remembers which account a group key (IBAN or account number) was imported
+ * into, so the next upload of the same account is matched directly.
+ */
+export async function saveAccountLinks(budgetId, accountMapping) {
+  return store.update((data) => {
+    const links = { ...(data.budgets[budgetId] || {}) };
+    for (const [group, accountId] of Object.entries(accountMapping || {})) {
+      const key = normalizeIban(group);
+      if (isAccountKey(key) && accountId) {
+        links[key] = String(accountId);
+      }
+    }
+
+    data.budgets[budgetId] = links;
+    return links;
+  });
+}
+
+function accountSearchText(account) {
+  const raw = account.raw || {};
+  return [account.name, raw.note, raw.notes, raw.official_name, raw.iban, raw.account_number]
+    .filter((value) => typeof value === 'string')
+    .join(' ')
+    .toUpperCase();
+}
+
+/**
+ * The bank's own account number inside an IBAN (digits after the bank code,
+ * without leading zeros), or the plain number for BBAN group keys.
+ */
+function accountNumber(key) {
+  const bban = /^[A-Z]{2}\d{2}[A-Z]{4}(\d+)$/.exec(key)?.[1] ?? (/^\d+$/.test(key) ? key : '');
+  return bban.replace(/^0+/, '');
+}
+
+function matchGroup(key, account) {
+  const text = accountSearchText(account);
+  const compact = text.replace(/\s+/g, '');
+  if (key.length >= 8 && compact.includes(key)) {
+    return { confidence: 'high', reason: 'Rekeningnummer in accountnaam of notities' };
+  }
+
+  const number = accountNumber(key);
+  if (number.length >= 6 && new RegExp(`(^|\\D)0*${number}(\\D|$)`).test(compact)) {
+    return { confidence: 'medium', reason: 'Rekeningnummer (zonder IBAN) in accountnaam of notities' };
+  }
+
+  if (number.length >= 4 && new RegExp(`(^|\\D)${number.slice(-4)}(\\D|$)`).test(text)) {
+    return { confidence: 'low', reason: `Laatste cijfers ${number.slice(-4)} in accountnaam` };
+  }
+
+  return null;
+}
+
+/**
+ * Suggests an account per group key. A remembered link wins; otherwise only a
+ * single best match is suggested and ties are left for the user.
+ */
+export function suggestAccounts(groupKeys, accounts, links) {
+  const suggestions = {};
+
+  for (const group of groupKeys) {
+    const key = normalizeIban(group);
+    if (!isAccountKey(key)) {
+      continue;
+    }
+
+    if (accounts.some((account) => account.id === links[key])) {
+      suggestions[group] = { accountId: links[key], confidence: 'high', reason: 'Eerder gekoppeld' };
+      continue;
+    }
+
+    const matches = accounts
+      .map((account) => ({ account, match: matchGroup(key, account) }))
+      .filter((item) => item.match)
+      .sort((a, b) => CONFIDENCE_RANK[b.match.confidence] - CONFIDENCE_RANK[a.match.confidence]);
+
+    if (!matches.length) {
+      continue;
+    }
+
+    const [best, second] = matches;
+    if (second && second.match.confidence === best.match.confidence) {
+      continue;
+    }
+
+    suggestions[group] = {
+      accountId: best.account.id,
+      confidence: best.match.confidence,
+      reason: best.match.reason
+    };
+  }
+
+  return suggestions;
+}
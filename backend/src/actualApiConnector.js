@@ -0,0 +1,155 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { shapeAccount, shapeBudget, shapeCategory } from './actualShapes.js';
+import { DATA_DIR } from './jsonStore.js';
+
+const API_DATA_DIR = path.resolve(process.env.ACTUAL_DATA_DIR || path.join(DATA_DIR, 'actual-cache'));
+
+let apiModule = null;
+let openSession = null;
+let queue = Promise.resolve();
+
+async function loadApi() {
+  if (!apiModule) {
+    try {
+      const imported = await import('@actual-app/api');
+      apiModule = imported.default ?? imported;
+    } catch (error) {
+      throw new Error(
+        `Pakket @actual-app/api kon niet worden geladen (${error.message}). ` +
+          'Installeer het of kies ACTUAL_CONNECTOR=rest.'
+      );
+    }
+  }
+  return apiModule;
+}
+
+/**
+ * The api package holds one global budget in memory, so calls are run one at a
+ * time and the client is only re-initialised when server or budget change.
+ */
+function withBudget(config, needsBudget, work) {
+  const run = queue.then(async () => {
+    const api = await loadApi();
+
+    if (openSession && (openSession.serverUrl !== config.serverUrl || openSession.password !== config.password)) {
+      openSession = null;
+      await api.shutdown().catch(() => {});
+    }
+
+    if (!openSession) {
+      await fs.mkdir(API_DATA_DIR, { recursive: true });
+      await api.init({ dataDir: API_DATA_DIR, serverURL: config.serverUrl, password: config.password });
+      openSession = { serverUrl: config.serverUrl, password: config.password, budgetId: null };
+    }
+
+    if (needsBudget && openSession.budgetId !== config.budgetId) {
+      openSession.budgetId = null;
+      await api.downloadBudget(config.budgetId);
+      openSession.budgetId = config.budgetId;
+    } else if (needsBudget) {
+      await api.sync();
+    }
+
+    return work(api);
+  });
+
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Uses the official `@actual-app/api` client, which syncs a local copy of the
+ * budget into ACTUAL_DATA_DIR instead of going through an HTTP wrapper.
+ */
+export function createApiConnector(config) {
+  return {
+    kind: 'api',
+    config,
+    requiresConnection: true,
+
+    async listBudgets() {
+      return withBudget(config, false, async (api) =>
+        (await api.getBudgets())
+          .filter((budget) => budget.groupId)
+          .map((budget) => shapeBudget({ ...budget, id: budget.groupId }))
+      );
+    },
+
+    async listAccounts() {
+      return withBudget(config, true, async (api) => (await api.getAccounts()).map(shapeAccount));
+    },
+
+    async listCategories() {
+      return withBudget(config, true, async (api) => {
+        const groups = new Map((await api.getCategoryGroups()).map((group) => [group.id, group.name]));
+        return (await api.getCategories()).map((category) =>
+          shapeCategory({ ...category, group_name: groups.get(category.group_id) })
+        );
+      });
+    },
+
+    async getTransferPayees() {
+      return withBudget(config, true, async (api) => {
+        const payees = await api.getPayees();
+        return new Map(
+          payees
+            .filter((payee) => payee.transfer_acct)
+            .map((payee) => [String(payee.transfer_acct), String(payee.id)])
+        );
+      });
+    },
+
+    async createAccount(account, initialBalance) {
+      return withBudget(config, true, async (api) => {
+        const id = await api.createAccount({ name: account.name, offbudget: account.offBudget }, initialBalance);
+        await api.sync();
+        return String(id);
+      });
+    },
+
+    async importTransactions(accountId, transactions) {
+      return withBudget(config, true, async (api) => {
+        const payeeIds = new Set((await api.getPayees()).map((payee) => payee.id));
+        // Rows carry the payee as text; only transfer payees are already ids.
+        const prepared = transactions.map(({ payee, ...transaction }) =>
+          payeeIds.has(payee) ? { ...transaction, payee } : { ...transaction, payee_name: payee }
+        );
+        const result = await api.importTransactions(accountId, prepared);
+        await api.sync();
+        return result;
+      });
+    },
+
+    async getTransactions(accountId, startDate, endDate) {
+      return withBudget(config, true, (api) => api.getTransactions(accountId, startDate, endDate));
+    },
+
+    async deleteTransactions(ids) {
+      return withBudget(config, true, async (api) => {
+        for (const id of ids) {
+          await api.deleteTransaction(id);
+        }
+        await api.sync();
+      });
+    },
+
+    async getAccountBalance(accountId, cutoff) {
+      return withBudget(config, true, (api) =>
+        api.getAccountBalance(accountId, cutoff ? new Date(`${cutoff}T23:59:59`) : undefined)
+      );
+    },
+
+    // The server keeps the client open between requests; a one-off process closes it to be able to exit.
+    async close() {
+      const run = queue.then(async () => {
+        if (openSession) {
+          openSession = null;
+          await (await loadApi()).shutdown().catch(() => {});
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+import { createApiConnector } from './actualApiConnector.js';
+import { createMockConnector } from './actualMockConnector.js';
+import { createRestConnector } from './actualRestConnector.js';
+
+const CONNECTOR_FACTORIES = {
+  rest: createRestConnector,
+  api: createApiConnector,
+  mock: createMockConnector
+};
+
+export const ACTUAL_CONNECTORS = Object.keys(CONNECTOR_FACTORIES);
+
+/**
+ * Connector kind from ACTUAL_CONNECTOR; MOCK_ACTUAL=true still selects the
+ * mock connector.
+ */
+function defaultConnectorKind() {
+  if (process.env.MOCK_ACTUAL === 'true') {
+    return 'mock';
+  }
+
+  const kind = (process.env.ACTUAL_CONNECTOR || 'rest').trim().toLowerCase();
+  if (!CONNECTOR_FACTORIES[kind]) {
+    throw new Error(`Onbekende ACTUAL_CONNECTOR '${kind}'. Kies uit: ${ACTUAL_CONNECTORS.join(', ')}.`);
+  }
+  return kind;
+}
+
+export function sameServerUrl(a, b) {
+  const normalize = (value) => String(value || '').trim().replace(/\/+$/, '').toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Builds the connector for one request. Values from the request win over the
+ * environment, but ACTUAL_PASSWORD is only used for ACTUAL_SERVER_URL so it
+ * never goes to a server named in a request. Every connector offers the same
+ * async methods: listBudgets, listAccounts, listCategories,
+ * getTransferPayees, createAccount, importTransactions, getTransactions,
+ * deleteTransactions, getAccountBalance and close.
+ */
+export function createActualConnector(actualConfig = {}, kind = defaultConnectorKind()) {
+  const serverUrl = (actualConfig.serverUrl || process.env.ACTUAL_SERVER_URL || '').trim();
+  const envPassword = sameServerUrl(serverUrl, process.env.ACTUAL_SERVER_URL) ? process.env.ACTUAL_PASSWORD : '';
+  const config = {
+    serverUrl,
+    password: actualConfig.password || envPassword || '',
+    budgetId: actualConfig.budgetId || process.env.ACTUAL_BUDGET_ID || ''
+  };
+  return CONNECTOR_FACTORIES[kind](config);
+}
+
+/**
+ * First connection setting the connector still needs ('serverUrl',
+ * 'password' or 'budgetId'), or null when it can be used.
+ */
+export function missingConnectionSetting(connector, { budget = true } = {}) {
+  if (!connector.requiresConnection) {
+    return null;
+  }
+
+  const { serverUrl, password, budgetId } = connector.config;
+  if (!serverUrl) {
+    return 'serverUrl';
+  }
+  if (!password) {
+    return 'password';
+  }
+  if (budget && !budgetId) {
+    return 'budgetId';
+  }
+  return null;
+}
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { shapeAccount, shapeBudget, shapeCategory } from './actualShapes.js';
+
+const MOCK_CATEGORIES = [
+  { id: 'cat-groceries', name: 'Boodschappen', group_name: 'Uitgaven', is_income: false },
+  { id: 'cat-housing', name: 'Wonen', group_name: 'Uitgaven', is_income: false },
+  { id: 'cat-transport', name: 'Vervoer', group_name: 'Uitgaven', is_income: false },
+  { id: 'cat-income', name: 'Inkomen', group_name: 'Inkomsten', is_income: true }
+];
+
+export function createMockBudgets() {
+  return [
+    {
+      id: 'budget-main',
+      name: 'Main Budget',
+      accounts: [
+        { id: 'acc-checking', name: 'Rabo Betaalrekening NL11RABO0123456789' },
+        { id: 'acc-savings', name: 'Rabo Spaarrekening 0987654321' }
+      ],
+      categories: structuredClone(MOCK_CATEGORIES),
+      transactions: []
+    },
+    {
+      id: 'budget-personal',
+      name: 'Personal Budget',
+      accounts: [],
+      categories: structuredClone(MOCK_CATEGORIES),
+      transactions: []
+    }
+  ];
+}
+
+const sharedState = { budgets: createMockBudgets() };
+
+function transferPayeeId(accountId) {
+  return `payee-transfer-${accountId}`;
+}
+
+/**
+ * Keeps budgets in memory for MOCK_ACTUAL, so the whole flow including
+ * duplicate checks and rollback can be tried without an Actual server.
+ * Passing `state` gives a separate set of budgets.
+ */
+export function createMockConnector(config, state = sharedState) {
+  function findBudget() {
+    // Without a chosen budget the first one is used, so mock mode works straight away.
+    const budget = config.budgetId ? state.budgets.find((item) => item.id === config.budgetId) : state.budgets[0];
+    if (!budget) {
+      throw new Error(`Budget '${config.budgetId}' bestaat niet.`);
+    }
+    return budget;
+  }
+
+  function findAccount(budget, accountId) {
+    const account = budget.accounts.find((item) => item.id === accountId);
+    if (!account) {
+      throw new Error(`Account '${accountId}' bestaat niet.`);
+    }
+    return account;
+  }
+
+  return {
+    kind: 'mock',
+    config,
+    requiresConnection: false,
+
+    async listBudgets() {
+      return state.budgets.map(({ id, name }) => shapeBudget({ id, name }));
+    },
+
+    async listAccounts() {
+      return findBudget().accounts.map(shapeAccount);
+    },
+
+    async listCategories() {
+      return findBudget().categories.map(shapeCategory);
+    },
+
+    async getTransferPayees() {
+      return new Map(findBudget().accounts.map((account) => [account.id, transferPayeeId(account.id)]));
+    },
+
+    async createAccount(account, initialBalance) {
+      const budget = findBudget();
+      const id = `mock-account-${crypto.randomUUID()}`;
+      budget.accounts.push({ id, name: account.name, offbudget: Boolean(account.offBudget) });
+      if (initialBalance) {
+        budget.transactions.push({
+          id: crypto.randomUUID(),
+          account: id,
+          date: new Date().toISOString().slice(0, 10),
+          amount: initialBalance,
+          payee: 'Starting Balance',
+          starting_balance_flag: true
+        });
+      }
+      return id;
+    },
+
+    async importTransactions(accountId, transactions) {
+      const budget = findBudget();
+      findAccount(budget, accountId);
+      const added = [];
+      const updated = [];
+
+      for (const transaction of transactions) {
+        const existing = transaction.imported_id
+          ? budget.transactions.find(
+              (item) => item.account === accountId && item.imported_id === transaction.imported_id
+            )
+          : null;
+
+        if (existing) {
+          Object.assign(existing, transaction, { id: existing.id, account: accountId });
+          updated.push(existing.id);
+          continue;
+        }
+
+        const id = crypto.randomUUID();
+        const target = budget.accounts.find((account) => transferPayeeId(account.id) === transaction.payee);
+        if (target && target.id !== accountId) {
+          // Like Actual: a transfer payee creates the opposite half in the other account.
+          const counterpartId = crypto.randomUUID();
+          budget.transactions.push({
+            id: counterpartId,
+            account: target.id,
+            date: transaction.date,
+            amount: -transaction.amount,
+            payee: transferPayeeId(accountId),
+            notes: transaction.notes,
+            transfer_id: id
+          });
+          budget.transactions.push({ ...transaction, id, account: accountId, transfer_id: counterpartId });
+        } else {
+          budget.transactions.push({ ...transaction, id, account: accountId });
+        }
+        added.push(id);
+      }
+
+      return { added, updated, errors: [] };
+    },
+
+    async getTransactions(accountId, startDate, endDate) {
+      return findBudget().transactions.filter(
+        (transaction) =>
+          transaction.account === accountId &&
+          (!startDate || transaction.date >= startDate) &&
+          (!endDate || transaction.date <= endDate)
+      );
+    },
+
+    async deleteTransactions(ids) {
+      const budget = findBudget();
+      const deleted = new Set(ids.map(String));
+      for (const transaction of budget.transactions) {
+        if (deleted.has(transaction.id) && transaction.transfer_id) {
+          deleted.add(transaction.transfer_id);
+        }
+      }
+      budget.transactions = budget.transactions.filter((transaction) => !deleted.has(transaction.id));
+    },
+
+    async getAccountBalance(accountId, cutoff) {
+      return findBudget()
+        .transactions.filter(
+          (transaction) => transaction.account === accountId && (!cutoff || transaction.date <= cutoff)
+        )
+        .reduce((sum, transaction) => sum + transaction.amount, 0);
+    },
+
+    async close() {}
+  };
+}
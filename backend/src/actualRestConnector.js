@@ -0,0 +1,135 @@
+import { shapeAccount, shapeBudget, shapeCategory } from './actualShapes.js';
+
+function extractList(payload, key) {
+  if (Array.isArray(payload)) {
+    return payload;
+  }
+
+  if (Array.isArray(payload?.[key])) {
+    return payload[key];
+  }
+
+  if (Array.isArray(payload?.data?.[key])) {
+    return payload.data[key];
+  }
+
+  // Accounts never came back as a bare `data` array; the other endpoints may.
+  if (key !== 'accounts' && Array.isArray(payload?.data)) {
+    return payload.data;
+  }
+
+  return [];
+}
+
+async function readActualErrorDetail(response) {
+  const contentType = response.headers.get('content-type') || '';
+
+  try {
+    if (contentType.includes('application/json')) {
+      const payload = await response.json();
+      if (typeof payload?.error === 'string' && payload.error) {
+        return payload.error;
+      }
+      if (typeof payload?.message === 'string' && payload.message) {
+        return payload.message;
+      }
+      return JSON.stringify(payload).slice(0, 500);
+    }
+
+    const text = await response.text();
+    return text.slice(0, 500);
+  } catch (_error) {
+    return 'Geen foutdetails beschikbaar.';
+  }
+}
+
+/**
+ * Talks to the small HTTP wrapper around Actual: every endpoint is a POST that
+ * carries the server password and budget ID in its body.
+ */
+export function createRestConnector(config) {
+  async function callActual(endpoint, body) {
+    const response = await fetch(`${config.serverUrl.replace(/\/$/, '')}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json'
+      },
+      body: JSON.stringify({ password: config.password, budgetId: config.budgetId, ...body })
+    });
+
+    if (!response.ok) {
+      const detail = await readActualErrorDetail(response);
+      throw new Error(`Endpoint ${endpoint} gaf status ${response.status}. ${detail}`);
+    }
+
+    return response.json().catch(() => null);
+  }
+
+  return {
+    kind: 'rest',
+    config,
+    requiresConnection: true,
+
+    async listBudgets() {
+      const payload = await callActual('/api/budgets', { budgetId: undefined });
+      return extractList(payload, 'budgets').map(shapeBudget).filter((budget) => budget.id);
+    },
+
+    async listAccounts() {
+      const payload = await callActual('/api/accounts', {});
+      return extractList(payload, 'accounts').map(shapeAccount).filter((account) => account.id);
+    },
+
+    async listCategories() {
+      const payload = await callActual('/api/categories', {});
+      return extractList(payload, 'categories')
+        .map(shapeCategory)
+        .filter((category) => category.id);
+    },
+
+    async getTransferPayees() {
+      const payload = await callActual('/api/payees', {});
+      return new Map(
+        extractList(payload, 'payees')
+          .filter((payee) => payee.transfer_acct)
+          .map((payee) => [String(payee.transfer_acct), String(payee.id)])
+      );
+    },
+
+    async createAccount(account, initialBalance) {
+      const payload = await callActual('/api/create-account', {
+        account: { name: account.name, offbudget: account.offBudget },
+        initialBalance
+      });
+      const id = payload?.id ?? payload?.accountId ?? payload?.data?.id ?? payload?.data ?? payload?.account?.id;
+      if (!id || typeof id === 'object') {
+        throw new Error('Antwoord bevat geen account ID.');
+      }
+      return String(id);
+    },
+
+    async importTransactions(accountId, transactions) {
+      return callActual('/api/import-transactions', { accountId, transactions });
+    },
+
+    async getTransactions(accountId, startDate, endDate) {
+      const payload = await callActual('/api/transactions', { accountId, startDate, endDate });
+      return extractList(payload, 'transactions');
+    },
+
+    async deleteTransactions(ids) {
+      await callActual('/api/delete-transactions', { ids });
+    },
+
+    async getAccountBalance(accountId, cutoff) {
+      const payload = await callActual('/api/account-balance', { accountId, cutoff });
+      const balance = payload?.balance ?? payload?.data?.balance ?? payload?.data ?? payload;
+      if (typeof balance !== 'number') {
+        throw new Error('Antwoord bevat geen saldo.');
+      }
+      return balance;
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,24 @@
+export function shapeCategory(category) {
+  return {
+    id: String(category.id ?? category.uuid ?? ''),
+    name: String(category.name ?? 'Onbekende categorie'),
+    group: String(category.group_name ?? category.groupName ?? category.group?.name ?? ''),
+    isIncome: Boolean(category.is_income ?? category.isIncome)
+  };
+}
+
+export function shapeAccount(account) {
+  return {
+    id: String(account.id ?? account.uuid ?? account.accountId ?? ''),
+    name: String(account.name ?? account.accountName ?? 'Onbekende rekening'),
+    raw: account
+  };
+}
+
+export function shapeBudget(budget) {
+  return {
+    id: String(budget.id ?? budget.uuid ?? budget.budgetId ?? ''),
+    name: String(budget.name ?? budget.budgetName ?? 'Onbekend budget'),
+    raw: budget
+  };
+}
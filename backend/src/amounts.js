@@ -0,0 +1,136 @@
+export const DEFAULT_AMOUNT_FORMAT = {
+  decimalSeparator: ',',
+  thousandsSeparator: '.',
+  sign: 'signed',
+  indicatorColumn: '',
+  debitIndicators: ['Af', 'D', 'Debet', 'Debit'],
+  debitColumn: '',
+  creditColumn: ''
+};
+
+const SIGN_MODES = ['signed', 'inverted', 'indicator', 'debitCredit'];
+
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function normalizeAmountFormat(format) {
+  const merged = { ...DEFAULT_AMOUNT_FORMAT, ...(format || {}) };
+  const decimalSeparator = merged.decimalSeparator === '.' ? '.' : ',';
+  const thousandsSeparator = [',', '.', ' ', "'"].includes(merged.thousandsSeparator)
+    ? merged.thousandsSeparator
+    : '';
+
+  const debitIndicators = Array.isArray(merged.debitIndicators)
+    ? merged.debitIndicators
+    : String(merged.debitIndicators).split(',');
+
+  return {
+    ...merged,
+    decimalSeparator,
+    thousandsSeparator: thousandsSeparator === decimalSeparator ? '' : thousandsSeparator,
+    sign: SIGN_MODES.includes(merged.sign) ? merged.sign : 'signed',
+    debitIndicators: debitIndicators.map((value) => String(value).trim().toLowerCase()).filter(Boolean)
+  };
+}
+
+/**
+ * Parses a single amount cell into integer cents. Returns `{ cents }` on
+ * success, `{ cents: null }` for an empty cell and `{ error }` when the text
+ * does not fit the configured separators.
+ */
+export function parseAmountValue(rawValue, format) {
+  let text = String(rawValue ?? '')
+    .replace(/€|EUR/gi, '')
+    .trim();
+
+  if (!text) {
+    return { cents: null };
+  }
+
+  let negative = false;
+  const parenthesized = text.match(/^\((.*)\)$/);
+  if (parenthesized) {
+    negative = true;
+    text = parenthesized[1].trim();
+  }
+
+  const leadingSign = text.match(/^([+\-−])\s*/);
+  if (leadingSign) {
+    negative = negative || leadingSign[1] !== '+';
+    text = text.slice(leadingSign[0].length);
+  } else {
+    const trailingSign = text.match(/\s*([+\-])$/);
+    if (trailingSign) {
+      negative = negative || trailingSign[1] === '-';
+      text = text.slice(0, -trailingSign[0].length);
+    }
+  }
+
+  const decimal = escapeRegExp(format.decimalSeparator);
+  const thousands = format.thousandsSeparator === ' ' ? '[\\s\\u00a0]' : escapeRegExp(format.thousandsSeparator);
+  const integerPattern = format.thousandsSeparator ? `(?:\\d{1,3}(?:${thousands}\\d{3})+|\\d+)` : '\\d+';
+  const match = text.match(new RegExp(`^(${integerPattern})?(?:${decimal}(\\d+))?$`));
+
+  if (!match || (!match[1] && !match[2])) {
+    return { error: `Bedrag '${rawValue}' past niet bij het ingestelde formaat.` };
+  }
+
+  const integerPart = (match[1] || '0').replace(/\D/g, '');
+  const value = Number(`${integerPart}.${match[2] || '0'}`);
+  if (!Number.isFinite(value)) {
+    return { error: `Bedrag '${rawValue}' is geen geldig getal.` };
+  }
+
+  const cents = Math.round(value * 100);
+  return { cents: negative && cents !== 0 ? -cents : cents };
+}
+
+/**
+ * Resolves the signed amount in cents for one source record, taking the sign
+ * convention of the amount format into account.
+ */
+export function resolveAmount(record, mappedAmount, format) {
+  if (format.sign === 'debitCredit') {
+    const debit = parseAmountValue(record[format.debitColumn], format);
+    const credit = parseAmountValue(record[format.creditColumn], format);
+
+    if (debit.error || credit.error) {
+      return { amount: null, error: debit.error || credit.error };
+    }
+
+    if (debit.cents === null && credit.cents === null) {
+      return { amount: null, error: 'Bedrag ontbreekt in zowel de debet- als de creditkolom.' };
+    }
+
+    return { amount: Math.abs(credit.cents || 0) - Math.abs(debit.cents || 0) };
+  }
+
+  const parsed = parseAmountValue(mappedAmount, format);
+  if (parsed.error) {
+    return { amount: null, error: parsed.error };
+  }
+
+  if (parsed.cents === null) {
+    return { amount: null, error: 'Bedrag ontbreekt.' };
+  }
+
+  if (format.sign === 'inverted') {
+    return { amount: -parsed.cents };
+  }
+
+  if (format.sign === 'indicator') {
+    const indicator = String(record[format.indicatorColumn] ?? '')
+      .trim()
+      .toLowerCase();
+
+    if (!indicator) {
+      return { amount: null, error: `Af/Bij indicator ontbreekt in kolom '${format.indicatorColumn}'.` };
+    }
+
+    const magnitude = Math.abs(parsed.cents);
+    return { amount: format.debitIndicators.includes(indicator) ? -magnitude : magnitude };
+  }
+
+  return { amount: parsed.cents };
+}
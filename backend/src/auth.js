@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+
+export const AUTH_COOKIE = 'actualimporter_session';
+
+const SESSION_TTL_MS = Number(process.env.AUTH_SESSION_HOURS || 12) * 60 * 60 * 1000;
+const authSessions = new Map();
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads the login settings from the environment. `AUTH_USERS` holds
+ * `name:hash` pairs made with `hashPassword`; `AUTH_PROXY_HEADER` names the
+ * header (e.g. `Remote-User`) a reverse proxy such as Authelia or Authentik
+ * sets, trusted only from the addresses in `AUTH_TRUSTED_PROXIES`.
+ */
+export function loadAuthConfig(env = process.env) {
+  const users = new Map();
+  for (const entry of splitList(env.AUTH_USERS)) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      users.set(entry.slice(0, separator), entry.slice(separator + 1));
+    }
+  }
+
+  const proxyHeader = String(env.AUTH_PROXY_HEADER || '')
+    .trim()
+    .toLowerCase();
+
+  return {
+    enabled: users.size > 0 || Boolean(proxyHeader),
+    users,
+    proxyHeader,
+    trustedProxies: new Set(splitList(env.AUTH_TRUSTED_PROXIES || '127.0.0.1,::1,::ffff:127.0.0.1')),
+    secureCookie: env.AUTH_COOKIE_SECURE === 'true',
+    corsOrigins: splitList(env.CORS_ORIGINS)
+  };
+}
+
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `scrypt.${salt.toString('hex')}.${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('.');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Checks a login. Unknown users still cost one hash, so the response time
+ * does not tell which user names exist.
+ */
+export function verifyCredentials(config, username, password) {
+  const stored = config.users.get(String(username || ''));
+  const valid = verifyPassword(password, stored || `scrypt.${'0'.repeat(32)}.${'0'.repeat(128)}`);
+  return Boolean(stored) && valid;
+}
+
+function pruneAuthSessions() {
+  const now = Date.now();
+  for (const [token, session] of authSessions) {
+    if (session.expiresAt < now) {
+      authSessions.delete(token);
+    }
+  }
+}
+
+export function createAuthSession(user) {
+  pruneAuthSessions();
+  const token = crypto.randomBytes(32).toString('base64url');
+  authSessions.set(token, { user, expiresAt: Date.now() + SESSION_TTL_MS });
+  return { token, maxAge: SESSION_TTL_MS };
+}
+
+export function deleteAuthSession(token) {
+  authSessions.delete(token);
+}
+
+export function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+/**
+ * The signed-in user of a request: a proxy header from a trusted address, or
+ * a valid session cookie. Returns null when neither applies.
+ */
+export function authenticateRequest(config, req) {
+  if (config.proxyHeader && config.trustedProxies.has(req.socket.remoteAddress)) {
+    const user = String(req.headers[config.proxyHeader] || '').trim();
+    if (user) {
+      return { user, method: 'proxy' };
+    }
+  }
+
+  const token = readCookie(req, AUTH_COOKIE);
+  const session = token ? authSessions.get(token) : null;
+  if (!session || session.expiresAt < Date.now()) {
+    return null;
+  }
+
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  return { user: session.user, method: 'local', token };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+export function renderLoginPage(config, { error = '', next = '/' } = {}) {
+  const form = config.users.size
+    ? `<form method="post" action="/api/auth/login">
+        <input type="hidden" name="next" value="${escapeHtml(next)}">
+        <label>Gebruikersnaam <input name="username" autocomplete="username" required autofocus></label>
+        <label>Wachtwoord <input name="password" type="password" autocomplete="current-password" required></label>
+        <button type="submit">Inloggen</button>
+      </form>`
+    : '<p>Log in via je reverse proxy om Actualimporter te gebruiken.</p>';
+
+  return `<!doctype html>
+<html lang="nl">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>Inloggen - Actualimporter</title>
+    <style>
+      body {
+        font-family: Inter, system-ui, sans-serif;
+        background: #101319;
+        color: #f5f6f7;
+        display: grid;
+        place-items: center;
+        min-height: 100vh;
+        margin: 0;
+      }
+      main {
+        background: #1a2029;
+        border: 1px solid #2e3642;
+        border-radius: 10px;
+        padding: 1.5rem;
+        width: 20rem;
+      }
+      label { display: flex; flex-direction: column; gap: 0.35rem; margin-bottom: 1rem; }
+      input, button {
+        border-radius: 8px;
+        border: 1px solid #3f4958;
+        background: #0f141d;
+        color: inherit;
+        padding: 0.5rem 0.65rem;
+      }
+      button { cursor: pointer; }
+      .error { color: #ff8a80; }
+    </style>
+  </head>
+  <body>
+    <main>
+      <h1>Actualimporter</h1>
+      ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+      ${form}
+    </main>
+  </body>
+</html>`;
+}
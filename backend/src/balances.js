@@ -0,0 +1,61 @@
+export const BALANCE_TIMINGS = ['after', 'before'];
+
+/**
+ * Usable `{ row, date, amount, balance }` items from oldest to newest. Exports
+ * may list the newest transaction first; that is recognised by the file
+ * starting with a later date than it ends with.
+ */
+function chronological(items) {
+  const usable = items.filter((item) => item.date && item.amount !== null && item.balance !== null);
+  const newestFirst = usable.length > 1 && usable[0].date > usable[usable.length - 1].date;
+  return newestFirst ? [...usable].reverse() : usable;
+}
+
+/**
+ * Account balance before the oldest transaction of a file, derived from a
+ * running balance column. `timing` tells whether the column holds the balance
+ * after or before each row.
+ */
+export function openingBalance(items, timing = 'after') {
+  const [oldest] = chronological(items);
+  if (!oldest) {
+    return null;
+  }
+
+  return {
+    row: oldest.row,
+    date: oldest.date,
+    balance: timing === 'before' ? oldest.balance : oldest.balance - oldest.amount
+  };
+}
+
+/**
+ * Walks the running balance of a file and reports the opening and closing
+ * balance plus the first row where balance and amounts stop adding up, which
+ * points at a missing or duplicated transaction in the export.
+ */
+export function checkRunningBalance(items, timing = 'after') {
+  const ordered = chronological(items);
+  if (!ordered.length) {
+    return null;
+  }
+
+  let divergence = null;
+  for (let index = 1; index < ordered.length && !divergence; index += 1) {
+    const previous = ordered[index - 1];
+    const current = ordered[index];
+    const expected = timing === 'before' ? previous.balance + previous.amount : previous.balance + current.amount;
+
+    if (current.balance !== expected) {
+      divergence = { row: current.row, date: current.date, expected, found: current.balance };
+    }
+  }
+
+  const newest = ordered[ordered.length - 1];
+  return {
+    openingBalance: openingBalance(ordered, timing).balance,
+    closingBalance: timing === 'before' ? newest.balance + newest.amount : newest.balance,
+    closingDate: newest.date,
+    divergence
+  };
+}
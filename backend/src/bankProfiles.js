@@ -0,0 +1,279 @@
+import { normalizeIban } from './iban.js';
+
+const IBAN_PATTERN = /^[A-Z]{2}\d{2}[A-Z]{4}\d{6,}$/;
+const DUTCH_DATE_PATTERN = /^\d{2}-\d{2}-\d{4}$/;
+
+function direct(column) {
+  return { type: 'direct', column };
+}
+
+function merge(columns, separator = ' ') {
+  return { type: 'merge', columns, separator };
+}
+
+function normalizeHeader(value) {
+  return String(value ?? '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase();
+}
+
+function ibanBankCode(value) {
+  const iban = normalizeIban(value);
+  return IBAN_PATTERN.test(iban) ? iban.slice(4, 8) : '';
+}
+
+const VOLKSBANK_COLUMNS = [
+  'Transactiedatum',
+  'Opdrachtgeversrekening',
+  'Tegenrekening',
+  'Naam tegenpartij',
+  'Adres',
+  'Postcode',
+  'Plaats',
+  'Valuta rekening',
+  'Saldo voor mutatie',
+  'Valuta mutatie',
+  'Transactiebedrag',
+  'Journaaldatum',
+  'Valutadatum',
+  'Interne transactiecode',
+  'Globale transactiecode',
+  'Volgnummer transactie',
+  'Betalingskenmerk',
+  'Omschrijving',
+  'Afschriftnummer'
+];
+
+function volksbankProfile(id, name, bankCodes) {
+  return {
+    id,
+    name,
+    columns: VOLKSBANK_COLUMNS,
+    matchesRow: (cells) =>
+      cells.length === VOLKSBANK_COLUMNS.length &&
+      DUTCH_DATE_PATTERN.test(cells[0]) &&
+      bankCodes.includes(ibanBankCode(cells[1])),
+    mapping: {
+      date: direct('Transactiedatum'),
+      amount: direct('Transactiebedrag'),
+      payee: direct('Naam tegenpartij'),
+      notes: direct('Omschrijving'),
+      importedId: merge(['Opdrachtgeversrekening', 'Volgnummer transactie'], ':'),
+      counterpartyIban: direct('Tegenrekening'),
+      balance: direct('Saldo voor mutatie')
+    },
+    groupByColumn: 'Opdrachtgeversrekening',
+    balanceTiming: 'before',
+    amountFormat: { decimalSeparator: '.', thousandsSeparator: '' },
+    dateFormat: 'DD-MM-YYYY'
+  };
+}
+
+const ABN_AMRO_COLUMNS = [
+  'Rekeningnummer',
+  'Muntsoort',
+  'Transactiedatum',
+  'Beginsaldo',
+  'Eindsaldo',
+  'Rentedatum',
+  'Transactiebedrag',
+  'Omschrijving'
+];
+
+const BANK_PROFILES = [
+  {
+    id: 'rabobank',
+    name: 'Rabobank',
+    requiredHeaders: ['IBAN/BBAN', 'Volgnr', 'Datum', 'Bedrag', 'Naam tegenpartij'],
+    mapping: {
+      date: direct('Datum'),
+      amount: direct('Bedrag'),
+      payee: direct('Naam tegenpartij'),
+      notes: merge(['Omschrijving-1', 'Omschrijving-2', 'Omschrijving-3']),
+      importedId: merge(['IBAN/BBAN', 'Volgnr'], ':'),
+      counterpartyIban: direct('Tegenrekening IBAN/BBAN'),
+      balance: direct('Saldo na trn')
+    },
+    groupByColumn: 'IBAN/BBAN',
+    balanceTiming: 'after',
+    amountFormat: { decimalSeparator: ',', thousandsSeparator: '' },
+    dateFormat: 'YYYY-MM-DD'
+  },
+  {
+    id: 'ing',
+    name: 'ING',
+    requiredHeaders: ['Datum', 'Naam / Omschrijving', 'Rekening', 'Af Bij', 'Bedrag (EUR)'],
+    mapping: {
+      date: direct('Datum'),
+      amount: direct('Bedrag (EUR)'),
+      payee: direct('Naam / Omschrijving'),
+      notes: direct('Mededelingen'),
+      counterpartyIban: direct('Tegenrekening')
+    },
+    groupByColumn: 'Rekening',
+    amountFormat: {
+      decimalSeparator: ',',
+      thousandsSeparator: '',
+      sign: 'indicator',
+      indicatorColumn: 'Af Bij',
+      debitIndicators: ['Af']
+    },
+    dateFormat: 'YYYYMMDD'
+  },
+  {
+    id: 'abnamro',
+    name: 'ABN AMRO',
+    requiredHeaders: ['Rekeningnummer', 'Transactiedatum', 'Transactiebedrag', 'Omschrijving'],
+    columns: ABN_AMRO_COLUMNS,
+    matchesRow: (cells) =>
+      cells.length === ABN_AMRO_COLUMNS.length && /^[A-Z]{3}$/.test(cells[1]) && /^\d{8}$/.test(cells[2]),
+    mapping: {
+      date: direct('Transactiedatum'),
+      amount: direct('Transactiebedrag'),
+      payee: direct('Omschrijving'),
+      notes: direct('Omschrijving'),
+      balance: direct('Beginsaldo')
+    },
+    groupByColumn: 'Rekeningnummer',
+    balanceTiming: 'before',
+    amountFormat: { decimalSeparator: ',', thousandsSeparator: '' },
+    dateFormat: 'YYYYMMDD'
+  },
+  {
+    id: 'bunq',
+    name: 'bunq',
+    requiredHeaders: ['Date', 'Interest Date', 'Amount', 'Account', 'Counterparty', 'Name', 'Description'],
+    mapping: {
+      date: direct('Date'),
+      amount: direct('Amount'),
+      payee: direct('Name'),
+      notes: direct('Description'),
+      counterpartyIban: direct('Counterparty')
+    },
+    groupByColumn: 'Account',
+    amountFormat: { decimalSeparator: ',', thousandsSeparator: '.' },
+    dateFormat: 'YYYY-MM-DD'
+  },
+  volksbankProfile('sns', 'SNS / RegioBank', ['SNSB', 'RBRB']),
+  volksbankProfile('asn', 'ASN Bank', ['ASNB']),
+  {
+    id: 'triodos',
+    name: 'Triodos',
+    columns: [
+      'Datum',
+      'Rekeningnummer',
+      'Bedrag',
+      'Debet/Credit',
+      'Naam tegenpartij',
+      'Tegenrekening',
+      'Transactiecode',
+      'Omschrijving',
+      'Saldo na mutatie'
+    ],
+    matchesRow: (cells) =>
+      cells.length >= 8 &&
+      DUTCH_DATE_PATTERN.test(cells[0]) &&
+      ibanBankCode(cells[1]) === 'TRIO' &&
+      /^(debet|credit)$/i.test(cells[3]),
+    mapping: {
+      date: direct('Datum'),
+      amount: direct('Bedrag'),
+      payee: direct('Naam tegenpartij'),
+      notes: direct('Omschrijving'),
+      counterpartyIban: direct('Tegenrekening'),
+      balance: direct('Saldo na mutatie')
+    },
+    groupByColumn: 'Rekeningnummer',
+    balanceTiming: 'after',
+    amountFormat: {
+      decimalSeparator: ',',
+      thousandsSeparator: '.',
+      sign: 'indicator',
+      indicatorColumn: 'Debet/Credit',
+      debitIndicators: ['Debet']
+    },
+    dateFormat: 'DD-MM-YYYY'
+  },
+  {
+    // Rows made by statementFormats.js from CAMT.053, MT940 and OFX files, and merged uploads of several banks.
+    id: 'statement',
+    name: 'Standaardkolommen (CAMT.053 / MT940 / OFX / meerdere banken)',
+    requiredHeaders: ['Bronformaat', 'Rekening', 'Boekdatum', 'Bedrag', 'Transactie ID'],
+    mapping: {
+      date: direct('Boekdatum'),
+      amount: direct('Bedrag'),
+      payee: direct('Naam tegenpartij'),
+      notes: direct('Omschrijving'),
+      importedId: direct('Transactie ID'),
+      counterpartyIban: direct('Tegenrekening'),
+      balance: direct('Saldo na transactie')
+    },
+    groupByColumn: 'Rekening',
+    balanceTiming: 'after',
+    amountFormat: { decimalSeparator: '.', thousandsSeparator: '' },
+    dateFormat: 'YYYY-MM-DD'
+  }
+];
+
+function normalizeRow(row) {
+  return (row || []).map((cell) => String(cell ?? '').trim());
+}
+
+function matchesHeaderRow(profile, cells) {
+  // Headerless profiles match their own column names, e.g. after a merge of uploads put them on top.
+  const required = profile.requiredHeaders || profile.columns;
+  if (!required) {
+    return false;
+  }
+
+  const headers = new Set(cells.map(normalizeHeader));
+  return required.every((header) => headers.has(normalizeHeader(header)));
+}
+
+export function listBankProfiles() {
+  return BANK_PROFILES.map(shapeBankProfile);
+}
+
+export function getBankProfile(profileId) {
+  return BANK_PROFILES.find((profile) => profile.id === profileId) || null;
+}
+
+export function shapeBankProfile(profile) {
+  if (!profile) {
+    return null;
+  }
+
+  return {
+    id: profile.id,
+    name: profile.name,
+    mapping: profile.mapping,
+    groupByColumn: profile.groupByColumn,
+    balanceTiming: profile.balanceTiming || 'after',
+    amountFormat: profile.amountFormat,
+    dateFormat: profile.dateFormat
+  };
+}
+
+/**
+ * Whether the first parsed row holds column names for this profile. Headerless
+ * exports (SNS/ASN, Triodos, the ABN AMRO .TAB download) get the profile's
+ * fixed column names instead.
+ */
+export function profileHasHeaderRow(profile, firstRow) {
+  if (!profile?.columns) {
+    return true;
+  }
+
+  return matchesHeaderRow(profile, normalizeRow(firstRow));
+}
+
+export function detectBankProfile(firstRow) {
+  const cells = normalizeRow(firstRow);
+
+  return (
+    BANK_PROFILES.find((profile) => matchesHeaderRow(profile, cells)) ||
+    BANK_PROFILES.find((profile) => profile.matchesRow?.(cells)) ||
+    null
+  );
+}
@@ -0,0 +1,74 @@
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('categoryMappings.json', { budgets: {} });
+
+export function categoryKey(value) {
+  return String(value ?? '')
+    .trim()
+    .toLowerCase();
+}
+
+export async function getCategoryMappings(budgetId) {
+  const { budgets } = await store.read();
+  return budgets[budgetId] || {};
+}
+
+/**
+ * Merges `mappings` (source value → Actual category id) into the remembered
+ * mappings of the budget. A null or empty id forgets the value again.
+ */
+export async function saveCategoryMappings(budgetId, mappings) {
+  return store.update((data) => {
+    const current = { ...(data.budgets[budgetId] || {}) };
+    for (const [value, categoryId] of Object.entries(mappings || {})) {
+      const key = categoryKey(value);
+      if (!key) {
+        continue;
+      }
+      if (categoryId) {
+        current[key] = String(categoryId);
+      } else {
+        delete current[key];
+      }
+    }
+
+    data.budgets[budgetId] = current;
+    return current;
+  });
+}
+
+/**
+ * Returns a resolver for source category values. Remembered mappings win;
+ * otherwise a value that equals an Actual category name is used directly.
+ */
+export function createCategoryResolver(categories, mappings) {
+  const knownIds = new Set(categories.map((category) => category.id));
+  const byName = new Map(categories.map((category) => [categoryKey(category.name), category.id]));
+
+  return (value) => {
+    const key = categoryKey(value);
+    if (!key) {
+      return null;
+    }
+
+    const mapped = mappings[key];
+    if (mapped && knownIds.has(mapped)) {
+      return mapped;
+    }
+    return byName.get(key) || null;
+  };
+}
+
+export function listUnknownCategories(entries, resolve) {
+  const unknown = new Map();
+  for (const entry of entries) {
+    if (entry.category && !resolve(entry.category)) {
+      const key = categoryKey(entry.category);
+      const item = unknown.get(key) || { value: entry.category, count: 0 };
+      item.count += 1;
+      unknown.set(key, item);
+    }
+  }
+
+  return [...unknown.values()].sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { getAccountLinks } from './accountMatching.js';
+import { ACTUAL_CONNECTORS, createActualConnector, sameServerUrl } from './actualConnector.js';
+import { getBankProfile, shapeBankProfile } from './bankProfiles.js';
+import { listConnectionProfiles, resolveConnectionProfile } from './connectionProfiles.js';
+import { ConfigurationError, ImportError, ValidationError } from './errors.js';
+import { runImport } from './importRunner.js';
+import { changeSessionProfile, createUploadSession } from './importSessions.js';
+import { findTemplatesForHeaders, listTemplates } from './templates.js';
+
+dotenv.config();
+
+const USAGE = `Gebruik: actualimporter import <bestand>... [opties]
+
+Opties:
+  --template <id of naam>     template met mapping en accountkoppelingen
+  --dry-run                   alleen controleren, niets importeren
+  --account <groep>=<id>      account voor een groep (herhaalbaar)
+  --budget-id <id>            Actual budget ID
+  --server-url <url>          Actual server URL (wachtwoord via ACTUAL_PASSWORD)
+  --profile <id of naam>      opgeslagen verbindingsprofiel
+  --connector <soort>         ${ACTUAL_CONNECTORS.join(', ')}
+  --group-by <kolom>          kolom waarop rijen per account worden gegroepeerd
+  --date-format <formaat>     datumformaat, standaard uit template of bankprofiel
+  --encoding <tekenset>       tekenset van tekstbestanden
+  --sheet <naam>              werkblad van een XLSX/XLS bestand
+  --delimiter <teken>         scheidingsteken van een CSV bestand`;
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function readOptions() {
+  try {
+    return parseArgs({
+      allowPositionals: true,
+      options: {
+        template: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        account: { type: 'string', multiple: true, default: [] },
+        'budget-id': { type: 'string' },
+        'server-url': { type: 'string' },
+        profile: { type: 'string' },
+        connector: { type: 'string' },
+        'group-by': { type: 'string' },
+        'date-format': { type: 'string' },
+        encoding: { type: 'string', default: '' },
+        sheet: { type: 'string', default: '' },
+        delimiter: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    return fail(`${error.message}\n\n${USAGE}`);
+  }
+}
+
+function matchesIdOrName(item, value) {
+  return item.id === value || String(item.name || '').toLowerCase() === value.toLowerCase();
+}
+
+/**
+ * The template given with --template, otherwise the newest template saved
+ * for exactly these columns. Without a template the defaults of the detected
+ * bank profile are used, like step 2 of the UI does.
+ */
+async function chooseSettings(session, templateName) {
+  if (templateName) {
+    const template = (await listTemplates()).find((item) => matchesIdOrName(item, templateName));
+    if (!template) {
+      fail(`Template '${templateName}' niet gevonden.`);
+    }
+    return { source: `template '${template.name}'`, template };
+  }
+
+  const [template] = await findTemplatesForHeaders(session.headers);
+  if (template) {
+    return { source: `template '${template.name}'`, template };
+  }
+
+  const profile = shapeBankProfile(getBankProfile(session.profileId));
+  if (!profile) {
+    fail('Geen template of bankprofiel herkend voor deze kolommen. Geef een template op met --template.');
+  }
+  return { source: `bankprofiel ${profile.name}`, template: profile };
+}
+
+async function connectionConfig(values, template) {
+  let config = {
+    serverUrl: values['server-url'],
+    // The command line names the server itself, so ACTUAL_PASSWORD goes along with --server-url.
+    password: values['server-url'] ? process.env.ACTUAL_PASSWORD : undefined,
+    budgetId: values['budget-id'] || template.budgetId
+  };
+
+  if (values.profile) {
+    // Profile ids are UUIDs; on the command line the name is easier to type.
+    const match = (await listConnectionProfiles()).find((item) => matchesIdOrName(item, values.profile));
+    if (!match) {
+      fail(`Verbindingsprofiel '${values.profile}' niet gevonden.`);
+    }
+
+    const profile = await resolveConnectionProfile(match.id);
+    if (config.serverUrl && !sameServerUrl(config.serverUrl, profile.serverUrl)) {
+      fail(`--server-url hoort niet bij verbindingsprofiel '${match.name}'; laat een van beide weg.`);
+    }
+
+    config = {
+      serverUrl: profile.serverUrl,
+      password: profile.password,
+      budgetId: config.budgetId || profile.budgetId,
+      profileId: match.id
+    };
+  }
+  return config;
+}
+
+function parseAccountOptions(accounts) {
+  return Object.fromEntries(
+    accounts.map((value) => {
+      const separator = value.lastIndexOf('=');
+      if (separator < 1) {
+        fail(`Ongeldige --account '${value}'. Gebruik <groep>=<account-id>.`);
+      }
+      return [value.slice(0, separator), value.slice(separator + 1)];
+    })
+  );
+}
+
+function printTable(rows) {
+  const widths = rows[0].map((_cell, index) => Math.max(...rows.map((row) => String(row[index]).length)));
+  for (const row of rows) {
+    console.log(row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd());
+  }
+}
+
+function printSummary(summary) {
+  printTable([
+    ['Groep', 'Account', 'Transacties', 'Ongeldig', 'Waarschuwingen', 'Dubbelen', 'Uitgesloten', 'Geïmporteerd'],
+    ...summary.groups.map((item) => [
+      item.group,
+      item.accountId || '-',
+      item.transactionCount,
+      item.invalidCount,
+      item.warningRows.length,
+      item.duplicateCheck?.exact ? item.duplicateCheck.exact.length : '-',
+      item.excludedCount + item.skippedCount,
+      item.importedCount ?? '-'
+    ])
+  ]);
+
+  for (const item of summary.groups) {
+    for (const { row, errors } of item.invalidRows) {
+      console.log(`Rij ${row} (${item.group}): ${errors.join('; ')}`);
+    }
+    if (item.balanceCheck?.status === 'checked' && item.balanceCheck.difference) {
+      console.log(`Saldo van ${item.group} wijkt ${(item.balanceCheck.difference / 100).toFixed(2)} af van Actual.`);
+    }
+  }
+}
+
+/**
+ * Checks that could not ask Actual. The web UI shows them next to the
+ * result; a script only sees the exit code, so they count as an error.
+ */
+function failedChecks(summary) {
+  const failures = [];
+  if (summary.categoryCheck?.status === 'failed') {
+    failures.push(summary.categoryCheck.reason);
+  }
+  for (const item of summary.groups) {
+    if (item.duplicateCheck?.status === 'failed') {
+      failures.push(`${item.group}: ${item.duplicateCheck.reason}`);
+    }
+    if (item.balanceCheck?.fetchFailed) {
+      failures.push(`${item.group}: ${item.balanceCheck.reason}`);
+    }
+  }
+  return failures;
+}
+
+async function importFiles(filePaths, values) {
+  if (!filePaths.length) {
+    fail(USAGE);
+  }
+
+  const files = filePaths.map((filePath) => {
+    try {
+      return { originalname: path.basename(filePath), buffer: fs.readFileSync(filePath) };
+    } catch (error) {
+      return fail(`Kon ${filePath} niet lezen: ${error.message}`);
+    }
+  });
+
+  const session = createUploadSession(files, {
+    encoding: values.encoding,
+    sheet: values.sheet,
+    dialect: { delimiter: values.delimiter }
+  });
+  const { source, template } = await chooseSettings(session, values.template);
+
+  if (template.profileId && template.profileId !== session.profileId) {
+    const profile = getBankProfile(template.profileId);
+    if (profile) {
+      changeSessionProfile(session, profile);
+    }
+  }
+
+  const actualConfig = await connectionConfig(values, template);
+  if (values.connector && !ACTUAL_CONNECTORS.includes(values.connector)) {
+    fail(`Onbekende connector '${values.connector}'. Kies uit: ${ACTUAL_CONNECTORS.join(', ')}.`);
+  }
+  const connector = createActualConnector(actualConfig, values.connector || undefined);
+
+  let links = {};
+  if (connector.config.budgetId) {
+    try {
+      links = await getAccountLinks(connector.config.budgetId);
+    } catch (error) {
+      console.error(`Opgeslagen accountkoppelingen konden niet worden gelezen: ${error.message}`);
+    }
+  }
+
+  console.log(`${session.fileName}: ${session.records.length} rijen, ${source}.`);
+  let summary;
+  try {
+    summary = await runImport(
+      session,
+      {
+        mapping: template.mapping,
+        amountFormat: template.amountFormat,
+        dateFormat: values['date-format'] || template.dateFormat,
+        balanceTiming: template.balanceTiming,
+        groupByColumn: values['group-by'] ?? template.groupByColumn,
+        accountMapping: { ...links, ...template.accountMapping, ...parseAccountOptions(values.account) },
+        connectionProfileId: actualConfig.profileId,
+        dryRun: values['dry-run']
+      },
+      connector
+    );
+  } finally {
+    await connector.close();
+  }
+
+  printSummary(summary);
+  const failures = failedChecks(summary);
+  for (const failure of failures) {
+    console.error(failure);
+  }
+
+  if (summary.dryRun) {
+    console.log(`Dry-run: ${summary.totalTransactions} transacties gecontroleerd, er is niets geïmporteerd.`);
+  } else {
+    console.log(`Import klaar: ${summary.totalTransactions} transacties, import ID ${summary.importId || '-'}.`);
+  }
+  return summary.totalInvalid || failures.length ? 1 : 0;
+}
+
+const { values, positionals } = readOptions();
+const [command, ...filePaths] = positionals;
+
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (command !== 'import') {
+  fail(USAGE);
+}
+
+try {
+  process.exitCode = await importFiles(filePaths, values);
+} catch (error) {
+  if (error instanceof ImportError) {
+    const { error: message, details, hint, groups } = error.body;
+    if (groups) {
+      printSummary({ groups });
+    }
+    fail([message, details, hint].filter(Boolean).join('\n'));
+  }
+  const known = error instanceof ValidationError || error instanceof ConfigurationError;
+  fail(known ? error.message : `Import mislukt: ${error.message}`);
+}
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { sameServerUrl } from './actualConnector.js';
+import { ConfigurationError, ValidationError } from './errors.js';
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('connectionProfiles.json', { profiles: [] });
+
+let cachedKey = null;
+
+export function connectionProfilesEnabled() {
+  return Boolean(process.env.ACTUAL_PROFILES_KEY);
+}
+
+/**
+ * AES-256 key derived from ACTUAL_PROFILES_KEY. Any passphrase works; changing
+ * it makes the stored passwords unreadable.
+ */
+function masterKey() {
+  const secret = process.env.ACTUAL_PROFILES_KEY;
+  if (!secret) {
+    throw new ConfigurationError('ACTUAL_PROFILES_KEY ontbreekt; verbindingsprofielen zijn uitgeschakeld.');
+  }
+
+  if (cachedKey?.secret !== secret) {
+    cachedKey = { secret, key: crypto.scryptSync(secret, 'actualimporter-connection-profiles', 32) };
+  }
+  return cachedKey.key;
+}
+
+function encryptSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey(), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return ['v1', ...[iv, cipher.getAuthTag(), data].map((part) => part.toString('base64'))].join(':');
+}
+
+function decryptSecret(value) {
+  const [version, iv, tag, data] = String(value || '').split(':');
+  if (version !== 'v1') {
+    throw new ConfigurationError('Onbekend versleutelingsformaat in verbindingsprofiel.');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (_error) {
+    throw new ConfigurationError(
+      'Wachtwoord van verbindingsprofiel kan niet worden ontsleuteld. Is ACTUAL_PROFILES_KEY gewijzigd?'
+    );
+  }
+}
+
+/** Profile as sent to the browser: everything except the password. */
+export function shapeConnectionProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    serverUrl: profile.serverUrl,
+    budgetId: profile.budgetId,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt
+  };
+}
+
+function pickProfileFields(input) {
+  return {
+    name: String(input?.name ?? '').trim(),
+    serverUrl: String(input?.serverUrl ?? '').trim(),
+    budgetId: String(input?.budgetId ?? '').trim()
+  };
+}
+
+function validateProfile(profile) {
+  if (!profile.name) {
+    throw new ValidationError('Profielnaam is verplicht.');
+  }
+
+  if (!/^https?:\/\//i.test(profile.serverUrl)) {
+    throw new ValidationError('Server URL moet met http:// of https:// beginnen.');
+  }
+}
+
+export async function listConnectionProfiles() {
+  const { profiles } = await store.read();
+  return profiles.map(shapeConnectionProfile);
+}
+
+export async function createConnectionProfile(input) {
+  const profile = {
+    id: crypto.randomUUID(),
+    ...pickProfileFields(input),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  validateProfile(profile);
+  if (!input?.password) {
+    throw new ValidationError('Wachtwoord is verplicht.');
+  }
+  profile.password = encryptSecret(input.password);
+
+  await store.update((data) => {
+    data.profiles.push(profile);
+  });
+  return shapeConnectionProfile(profile);
+}
+
+/**
+ * An empty or missing password keeps the stored one, unless the server URL
+ * changes: the stored password is never sent to another server.
+ */
+export async function updateConnectionProfile(profileId, input) {
+  const password = input?.password ? encryptSecret(input.password) : null;
+
+  return store.update((data) => {
+    const index = data.profiles.findIndex((profile) => profile.id === profileId);
+    if (index === -1) {
+      return null;
+    }
+
+    const profile = {
+      ...data.profiles[index],
+      ...pickProfileFields({ ...data.profiles[index], ...input }),
+      updatedAt: new Date().toISOString()
+    };
+    validateProfile(profile);
+    if (password) {
+      profile.password = password;
+    } else if (!sameServerUrl(profile.serverUrl, data.profiles[index].serverUrl)) {
+      throw new ValidationError('Geef het wachtwoord opnieuw op wanneer de server URL verandert.');
+    }
+
+    data.profiles[index] = profile;
+    return shapeConnectionProfile(profile);
+  });
+}
+
+export async function deleteConnectionProfile(profileId) {
+  return store.update((data) => {
+    const before = data.profiles.length;
+    data.profiles = data.profiles.filter((profile) => profile.id !== profileId);
+    return data.profiles.length !== before;
+  });
+}
+
+/** Server URL, decrypted password and default budget of a profile, or null. */
+export async function resolveConnectionProfile(profileId) {
+  const { profiles } = await store.read();
+  const profile = profiles.find((item) => item.id === profileId);
+  if (!profile) {
+    return null;
+  }
+
+  return {
+    serverUrl: profile.serverUrl,
+    password: decryptSecret(profile.password),
+    budgetId: profile.budgetId
+  };
+}
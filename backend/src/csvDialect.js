@@ -0,0 +1,160 @@
+import { parse } from 'csv-parse/sync';
+import { escapeRegExp } from './amounts.js';
+import { ValidationError } from './errors.js';
+
+export const CSV_DELIMITERS = [';', ',', '\t', '|'];
+export const CSV_QUOTES = ['"', "'"];
+
+const SAMPLE_LINES = 200;
+
+function parseRows(text, { delimiter, quote }, options = {}) {
+  return parse(text, {
+    delimiter,
+    quote: quote || false,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    relax_quotes: true,
+    bom: true,
+    trim: true,
+    ...options
+  });
+}
+
+function mostCommonWidth(rows) {
+  const counts = new Map();
+  for (const row of rows) {
+    if (row.length > 1) {
+      counts.set(row.length, (counts.get(row.length) || 0) + 1);
+    }
+  }
+
+  let best = { width: 0, count: 0 };
+  for (const [width, count] of counts) {
+    if (count > best.count || (count === best.count && width > best.width)) {
+      best = { width, count };
+    }
+  }
+  return best;
+}
+
+/**
+ * The table starts at the first row that has the usual column count and is
+ * followed by another such row; everything above it is preamble (account
+ * number, period, export date).
+ */
+function findHeaderRow(rows, width) {
+  const index = rows.findIndex(
+    (row, position) => row.length === width && (position + 1 >= rows.length || rows[position + 1].length === width)
+  );
+  return Math.max(index, 0);
+}
+
+/**
+ * Trailing rows with another column count and mostly empty cells (totals,
+ * "einde overzicht") are footer. A short last transaction row is not.
+ */
+function countFooterRows(rows, width, headerRow) {
+  const isFooter = (row) => row.length !== width && row.filter(Boolean).length <= width / 2;
+  let footerRows = 0;
+  while (rows.length - footerRows - 1 > headerRow && isFooter(rows[rows.length - footerRows - 1])) {
+    footerRows += 1;
+  }
+  return footerRows;
+}
+
+/**
+ * The usual double quote is always tried; the other quote characters only
+ * when one of them starts a field somewhere in the sample.
+ */
+function opensField(sample, delimiter, quote) {
+  return (
+    quote === CSV_QUOTES[0] ||
+    new RegExp(`(^|${escapeRegExp(delimiter)})[ \\t]*${escapeRegExp(quote)}`, 'm').test(sample)
+  );
+}
+
+/**
+ * Sniffs delimiter, quote character, header row and footer rows from the
+ * first lines of the file. Each candidate dialect is parsed and the one where
+ * most rows share the same column count wins; on a tie the wider table wins
+ * for the same quote character and the earlier quote character otherwise.
+ */
+export function sniffCsvDialect(text) {
+  let best = null;
+  const sample = text.split(/\r?\n/, SAMPLE_LINES).join('\n');
+
+  for (const quote of CSV_QUOTES) {
+    for (const delimiter of CSV_DELIMITERS) {
+      if (!opensField(sample, delimiter, quote)) {
+        continue;
+      }
+
+      let rows;
+      try {
+        rows = parseRows(text, { delimiter, quote }, { to_line: SAMPLE_LINES });
+      } catch {
+        continue;
+      }
+
+      const { width, count } = mostCommonWidth(rows);
+      const wider = count === best?.count && quote === best.quote && width > best.width;
+      if (width && (!best || count > best.count || wider)) {
+        best = { delimiter, quote, width, count };
+      }
+    }
+  }
+
+  if (!best) {
+    return { delimiter: ';', quote: '"', headerRow: 0, footerRows: 0 };
+  }
+
+  const rows = parseRows(text, best);
+  const headerRow = findHeaderRow(rows.slice(0, SAMPLE_LINES), best.width);
+  return {
+    delimiter: best.delimiter,
+    quote: best.quote,
+    headerRow,
+    footerRows: countFooterRows(rows, best.width, headerRow)
+  };
+}
+
+function rowCountSetting(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ValidationError(`${name} moet een geheel getal van 0 of hoger zijn.`);
+  }
+  return number;
+}
+
+/**
+ * Fills a partial dialect (from the upload form or step 1) with sniffed
+ * values. An empty quote means the file is read without quoting.
+ */
+export function resolveCsvDialect(text, overrides = {}) {
+  const dialect = { ...sniffCsvDialect(text) };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null && (value !== '' || key === 'quote')) {
+      dialect[key] = value;
+    }
+  }
+
+  if (String(dialect.delimiter).length !== 1 || /[\r\n]/.test(dialect.delimiter)) {
+    throw new ValidationError('Het scheidingsteken moet precies één teken zijn.');
+  }
+  if (dialect.quote && (String(dialect.quote).length !== 1 || dialect.quote === dialect.delimiter)) {
+    throw new ValidationError('Het aanhalingsteken moet één teken zijn dat niet gelijk is aan het scheidingsteken.');
+  }
+
+  return {
+    delimiter: dialect.delimiter,
+    quote: dialect.quote,
+    headerRow: rowCountSetting(dialect.headerRow, 'Kopregel'),
+    footerRows: rowCountSetting(dialect.footerRows, 'Aantal voettekstregels')
+  };
+}
+
+/** Parses CSV text with a dialect and drops the preamble and footer rows. */
+export function parseCsv(text, dialect) {
+  const rows = parseRows(text, dialect);
+  return rows.slice(dialect.headerRow, Math.max(dialect.headerRow, rows.length - dialect.footerRows));
+}
@@ -0,0 +1,123 @@
+export const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'YYYYMMDD',
+  'DD-MM-YYYY',
+  'DD/MM/YYYY',
+  'DD.MM.YYYY',
+  'DD-MM-YY',
+  'DD/MM/YY',
+  'YYYY/MM/DD',
+  'MM/DD/YYYY',
+  'MM/DD/YY'
+];
+
+const TOKEN_PATTERN = /YYYY|YY|MM|DD/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileFormat(format) {
+  const hasSeparators = /[^YMD]/.test(format);
+  const tokens = [];
+  let pattern = '';
+  let lastIndex = 0;
+
+  for (const match of format.matchAll(TOKEN_PATTERN)) {
+    pattern += escapeRegExp(format.slice(lastIndex, match.index));
+    tokens.push(match[0]);
+    if (match[0] === 'YYYY') {
+      pattern += '(\\d{4})';
+    } else {
+      pattern += hasSeparators ? '(\\d{1,2})' : '(\\d{2})';
+    }
+    lastIndex = match.index + match[0].length;
+  }
+
+  return { tokens, regex: new RegExp(`^${pattern}${escapeRegExp(format.slice(lastIndex))}$`) };
+}
+
+const COMPILED_FORMATS = new Map(DATE_FORMATS.map((format) => [format, compileFormat(format)]));
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Parses a date cell in the given input format and returns it as
+ * `YYYY-MM-DD`, or `null` when the text does not match or is not a real
+ * calendar date. A time part after the date (e.g. "2024-01-31 12:00") is
+ * ignored.
+ */
+export function parseDateValue(rawValue, format) {
+  const compiled = COMPILED_FORMATS.get(format);
+  const text = String(rawValue ?? '')
+    .trim()
+    .split(/[\sT]/)[0];
+
+  if (!compiled || !text) {
+    return null;
+  }
+
+  const match = text.match(compiled.regex);
+  if (!match) {
+    return null;
+  }
+
+  const parts = {};
+  compiled.tokens.forEach((token, index) => {
+    parts[token] = Number(match[index + 1]);
+  });
+
+  const year = parts.YYYY ?? (parts.YY < 70 ? 2000 + parts.YY : 1900 + parts.YY);
+  const month = parts.MM;
+  const day = parts.DD;
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Picks the known format that parses the most samples. Ties go to the
+ * earlier entry in `DATE_FORMATS`, so day-first wins over month-first for
+ * ambiguous values such as 01/02/2024.
+ */
+export function guessDateFormat(values) {
+  const samples = values
+    .map((value) => String(value ?? '').trim())
+    .filter(Boolean)
+    .slice(0, 200);
+
+  let best = null;
+  let bestCount = 0;
+
+  for (const format of DATE_FORMATS) {
+    const count = samples.filter((sample) => parseDateValue(sample, format)).length;
+    if (count > bestCount) {
+      best = format;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/** Writes a `YYYY-MM-DD` date in one of the DATE_FORMATS. */
+export function formatDateValue(isoDate, format) {
+  const [year, month, day] = isoDate.split('-');
+  const values = { YYYY: year, YY: year.slice(2), MM: month, DD: day };
+  return format.replace(TOKEN_PATTERN, (token) => values[token]);
+}
+
+export function shiftIsoDate(date, days) {
+  const shifted = new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000);
+  return shifted.toISOString().slice(0, 10);
+}
+
+export function todayIsoDate(now = new Date()) {
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
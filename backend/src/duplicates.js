@@ -0,0 +1,140 @@
+import { MAX_TRANSFER_DAY_GAP, dayGap } from './transfers.js';
+
+const PROBABLE_PAYEE_SIMILARITY = 0.5;
+
+function payeeTokens(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1);
+}
+
+export function existingPayeeName(transaction) {
+  return transaction.payee_name ?? transaction.imported_payee ?? transaction.payee ?? '';
+}
+
+/**
+ * 1 for identical or contained payee names, otherwise the share of words the
+ * two names have in common (Jaccard index).
+ */
+export function payeeSimilarity(a, b) {
+  const left = payeeTokens(a);
+  const right = payeeTokens(b);
+
+  if (!left.length || !right.length) {
+    return left.length === right.length ? 1 : 0;
+  }
+
+  const leftText = left.join(' ');
+  const rightText = right.join(' ');
+  if (leftText.includes(rightText) || rightText.includes(leftText)) {
+    return 1;
+  }
+
+  const rightSet = new Set(right);
+  const shared = new Set(left.filter((token) => rightSet.has(token))).size;
+  return shared / new Set([...left, ...right]).size;
+}
+
+function describeMatch(entry, existing, reason) {
+  return {
+    row: entry.row,
+    date: entry.transaction.date,
+    amount: entry.transaction.amount,
+    payee: entry.transaction.payee,
+    imported_id: entry.transaction.imported_id,
+    reason,
+    match: {
+      id: existing.id ?? null,
+      date: existing.date,
+      amount: existing.amount,
+      payee: existingPayeeName(existing),
+      imported_id: existing.imported_id ?? null
+    }
+  };
+}
+
+/**
+ * Classifies normalized entries against the transactions that already exist
+ * in the target account. Every existing transaction is matched at most once,
+ * so two identical purchases on one day only hide one another when both are
+ * already present.
+ *
+ * `transferCandidates` are rows between two own accounts. Actual may have
+ * created them itself as the other half of a transfer, with the transfer
+ * payee and the date of the other side, so without an imported_id match they
+ * are matched on a transfer with the same amount.
+ */
+export function classifyDuplicates(entries, existingTransactions, transferCandidates = new Set()) {
+  const available = [...existingTransactions];
+  const pending = entries.filter((entry) => !entry.errors.length);
+  const exact = [];
+  const probable = [];
+
+  function take(predicate) {
+    const index = available.findIndex(predicate);
+    return index === -1 ? null : available.splice(index, 1)[0];
+  }
+
+  const stillPending = [];
+  for (const entry of pending) {
+    const { transaction } = entry;
+    const byImportedId = transaction.imported_id
+      ? take((existing) => existing.imported_id && existing.imported_id === transaction.imported_id)
+      : null;
+
+    if (byImportedId) {
+      exact.push(describeMatch(entry, byImportedId, 'Zelfde imported_id'));
+      continue;
+    }
+
+    const byTransfer = transferCandidates.has(entry)
+      ? take(
+          (existing) =>
+            existing.transfer_id &&
+            existing.amount === transaction.amount &&
+            dayGap(existing.date, transaction.date) <= MAX_TRANSFER_DAY_GAP
+        )
+      : null;
+
+    if (byTransfer) {
+      exact.push(describeMatch(entry, byTransfer, 'Overboeking staat al in Actual'));
+      continue;
+    }
+
+    const byContent = take(
+      (existing) =>
+        existing.date === transaction.date &&
+        existing.amount === transaction.amount &&
+        payeeTokens(existingPayeeName(existing)).join(' ') === payeeTokens(transaction.payee).join(' ')
+    );
+
+    if (byContent) {
+      exact.push(describeMatch(entry, byContent, 'Zelfde datum, bedrag en payee'));
+      continue;
+    }
+
+    stillPending.push(entry);
+  }
+
+  let newCount = 0;
+  for (const entry of stillPending) {
+    const { transaction } = entry;
+    const similar = take(
+      (existing) =>
+        existing.date === transaction.date &&
+        existing.amount === transaction.amount &&
+        payeeSimilarity(existingPayeeName(existing), transaction.payee) >= PROBABLE_PAYEE_SIMILARITY
+    );
+
+    if (similar) {
+      probable.push(describeMatch(entry, similar, 'Zelfde datum en bedrag, vergelijkbare payee'));
+    } else {
+      newCount += 1;
+    }
+  }
+
+  return { newCount, exact, probable };
+}
@@ -0,0 +1,23 @@
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+  }
+}
+
+export class ConfigurationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigurationError';
+  }
+}
+
+/** A refused or failed import; `body` is the JSON error response. */
+export class ImportError extends Error {
+  constructor(status, body) {
+    super(body.error);
+    this.name = 'ImportError';
+    this.status = status;
+    this.body = body;
+  }
+}
@@ -0,0 +1,138 @@
+import XLSX from 'xlsx';
+import { formatDateValue, todayIsoDate } from './dates.js';
+import { ValidationError } from './errors.js';
+
+export const TEXT_ENCODINGS = ['utf-8', 'windows-1252', 'iso-8859-1', 'utf-16le', 'utf-16be'];
+
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+function startsWith(buffer, bytes) {
+  return bytes.every((byte, index) => buffer[index] === byte);
+}
+
+/** `xlsx` for zip based workbooks, `xls` for the old binary format. */
+export function detectSpreadsheet(buffer) {
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) {
+    return 'xlsx';
+  }
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return 'xls';
+  }
+  return null;
+}
+
+function utf16WithoutBom(buffer) {
+  const sample = buffer.subarray(0, 1024);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let index = 0; index < sample.length; index += 1) {
+    if (sample[index] === 0) {
+      if (index % 2 === 0) {
+        evenZeros += 1;
+      } else {
+        oddZeros += 1;
+      }
+    }
+  }
+
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.4 && evenZeros < half * 0.05) {
+    return 'utf-16le';
+  }
+  if (evenZeros > half * 0.4 && oddZeros < half * 0.05) {
+    return 'utf-16be';
+  }
+  return null;
+}
+
+/**
+ * Picks the encoding of a text upload: a byte order mark wins, then UTF-16
+ * without BOM, then UTF-8 when the bytes are valid UTF-8. Anything else is
+ * read as Windows-1252, which older bank portals use for their exports.
+ */
+export function detectEncoding(buffer) {
+  const bom = BOMS.find((item) => startsWith(buffer, item.bytes));
+  if (bom) {
+    return bom.encoding;
+  }
+
+  const utf16 = utf16WithoutBom(buffer);
+  if (utf16) {
+    return utf16;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+}
+
+export function decodeText(buffer, encoding = '') {
+  if (encoding && !TEXT_ENCODINGS.includes(encoding)) {
+    throw new ValidationError(`Onbekende tekenset '${encoding}'. Kies uit: ${TEXT_ENCODINGS.join(', ')}.`);
+  }
+
+  const used = encoding || detectEncoding(buffer);
+  // TextDecoder drops a byte order mark by itself.
+  return { text: new TextDecoder(used).decode(buffer), encoding: used };
+}
+
+/**
+ * Excel turns amounts and dates into typed cells. They are written back as
+ * text in the date format and decimal separator of the bank profile, so the
+ * rows look like that bank's CSV export.
+ */
+function cellText(value, { dateFormat, decimalSeparator }) {
+  if (value instanceof Date) {
+    return formatDateValue(todayIsoDate(value), dateFormat);
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : String(value).replace('.', decimalSeparator);
+  }
+  return String(value ?? '').trim();
+}
+
+/**
+ * Typed rows to cells. Without a profile dates become YYYY-MM-DD and
+ * fractions get a decimal comma.
+ */
+export function spreadsheetCells(rows, profile = null) {
+  const options = {
+    dateFormat: profile?.dateFormat || 'YYYY-MM-DD',
+    decimalSeparator: profile?.amountFormat?.decimalSeparator || ','
+  };
+  return rows.map((row) => row.map((value) => cellText(value, options)));
+}
+
+/**
+ * Reads one sheet of an XLSX/XLS workbook as rows of typed values (text,
+ * numbers and dates). Without a sheet name the first sheet that has content
+ * is used.
+ */
+export function readSpreadsheet(buffer, sheetName = '') {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+  const sheetNames = workbook.SheetNames;
+
+  if (sheetName && !sheetNames.includes(sheetName)) {
+    throw new ValidationError(`Werkblad '${sheetName}' bestaat niet. Beschikbaar: ${sheetNames.join(', ')}.`);
+  }
+
+  const rowsOf = (name) =>
+    XLSX.utils
+      .sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: '', blankrows: false })
+      .filter((row) => row.some((value) => String(value ?? '').trim()));
+
+  for (const name of sheetName ? [sheetName] : sheetNames) {
+    const rows = rowsOf(name);
+    if (rows.length || sheetName) {
+      return { rows, sheetName: name, sheetNames };
+    }
+  }
+  return { rows: [], sheetName: sheetNames[0] || '', sheetNames };
+}
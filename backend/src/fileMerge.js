@@ -0,0 +1,136 @@
+import { normalizeAmountFormat, parseAmountValue, resolveAmount } from './amounts.js';
+import { detectBankProfile, getBankProfile, profileHasHeaderRow } from './bankProfiles.js';
+import { parseDateValue } from './dates.js';
+import { STATEMENT_COLUMNS, formatCents } from './statementFormats.js';
+import { normalizeCellValue, readMappedValue } from './transactionRows.js';
+
+export const SOURCE_FILE_COLUMN = 'Bronbestand';
+
+/** Gives headerless exports their profile's column names as first row. */
+function withHeaderRow(file) {
+  const { cells, profile } = file;
+  const headerRow = profile && !profileHasHeaderRow(profile, cells[0]) ? profile.columns : cells[0] || [];
+  const dataRows = headerRow === profile?.columns ? cells : cells.slice(1);
+  const headers = headerRow.map(normalizeCellValue);
+
+  return {
+    ...file,
+    headers,
+    records: dataRows.map((row) =>
+      Object.fromEntries(headers.map((header, index) => [header, normalizeCellValue(row[index])]))
+    )
+  };
+}
+
+/**
+ * Rewrites a record of any bank profile to the standard statement columns, so
+ * files from different banks share one mapping. Amounts and dates are parsed
+ * with the file's own profile; values that do not parse are kept as they are
+ * and show up as row errors in the dry-run.
+ */
+function toStandardRecord(record, profile) {
+  if (profile.id === 'statement') {
+    return record;
+  }
+
+  const { mapping } = profile;
+  const amountFormat = normalizeAmountFormat(profile.amountFormat);
+  const rawAmount = readMappedValue(record, mapping.amount);
+  const amount = resolveAmount(record, rawAmount, amountFormat);
+  const rawDate = readMappedValue(record, mapping.date);
+  const balance = parseAmountValue(readMappedValue(record, mapping.balance), amountFormat).cents;
+  const balanceAfter =
+    balance !== null && profile.balanceTiming === 'before' && amount.amount !== null
+      ? balance + amount.amount
+      : balance;
+
+  const values = {
+    Bronformaat: profile.name,
+    Rekening: normalizeCellValue(record[profile.groupByColumn]),
+    Boekdatum: parseDateValue(rawDate, profile.dateFormat) || rawDate,
+    Bedrag: amount.amount === null ? rawAmount : formatCents(amount.amount),
+    'Naam tegenpartij': readMappedValue(record, mapping.payee),
+    Tegenrekening: readMappedValue(record, mapping.counterpartyIban),
+    Omschrijving: readMappedValue(record, mapping.notes),
+    'Transactie ID': readMappedValue(record, mapping.importedId),
+    'Saldo na transactie': formatCents(balanceAfter)
+  };
+  return Object.fromEntries(STATEMENT_COLUMNS.map((column) => [column, values[column] ?? '']));
+}
+
+/**
+ * Drops rows that an earlier file already contained, as happens with exports
+ * of overlapping periods. Identical rows within one file are real repeated
+ * transactions, so a row only counts as duplicate when an earlier file held
+ * it at least as many times.
+ */
+function dropCrossFileDuplicates(files, headers) {
+  const kept = new Map();
+
+  return files.map((file) => {
+    const seenInFile = new Map();
+    const records = file.records.filter((record) => {
+      const key = headers.map((header) => record[header] ?? '').join('\u001f');
+      const occurrence = (seenInFile.get(key) || 0) + 1;
+      seenInFile.set(key, occurrence);
+      return occurrence > (kept.get(key) || 0);
+    });
+
+    for (const [key, count] of seenInFile) {
+      kept.set(key, Math.max(kept.get(key) || 0, count));
+    }
+    return { ...file, records, duplicateRows: file.records.length - records.length };
+  });
+}
+
+/**
+ * Combines several parsed uploads (`{ fileName, cells, profile }`) into one
+ * table with a `Bronbestand` column. Files of one bank keep their columns;
+ * when every file has a profile but the banks differ, all rows are converted
+ * to the standard statement columns instead.
+ */
+export function mergeUploadedFiles(files) {
+  const profileIds = new Set(files.map((file) => file.profile?.id || ''));
+  const standard = !profileIds.has('') && profileIds.size > 1;
+
+  let parsed = files.map(withHeaderRow);
+  if (standard) {
+    parsed = parsed.map((file) => ({
+      ...file,
+      headers: STATEMENT_COLUMNS,
+      records: file.records.map((record) => toStandardRecord(record, file.profile))
+    }));
+  }
+
+  const headers = [...new Set(parsed.flatMap((file) => file.headers))].filter(
+    (header) => header && header !== SOURCE_FILE_COLUMN
+  );
+  const deduplicated = dropCrossFileDuplicates(parsed, headers);
+  const allHeaders = [...headers, SOURCE_FILE_COLUMN];
+
+  const cells = [
+    allHeaders,
+    ...deduplicated.flatMap((file) =>
+      file.records.map((record) => [...headers.map((header) => record[header] ?? ''), file.fileName])
+    )
+  ];
+
+  let profile = detectBankProfile(allHeaders);
+  if (standard) {
+    profile = getBankProfile('statement');
+  } else if (profileIds.size === 1 && !profileIds.has('')) {
+    profile = files[0].profile;
+  }
+
+  return {
+    cells,
+    profile,
+    files: deduplicated.map((file) => ({
+      fileName: file.fileName,
+      format: file.format,
+      profileId: file.profile?.id || '',
+      rowCount: file.records.length,
+      duplicateRows: file.duplicateRows
+    }))
+  };
+}
@@ -0,0 +1,10 @@
+import { hashPassword } from './auth.js';
+
+// Prints the hash for one AUTH_USERS entry: `node src/hashPassword.js <wachtwoord>`.
+const password = process.argv[2];
+if (!password) {
+  console.error('Gebruik: node src/hashPassword.js <wachtwoord>');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
@@ -0,0 +1,5 @@
+export function normalizeIban(value) {
+  return String(value ?? '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+}
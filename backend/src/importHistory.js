@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('imports.json', { imports: [] });
+
+const REPORT_COLUMNS = [
+  'groep',
+  'account',
+  'status',
+  'rij',
+  'datum',
+  'bedrag',
+  'payee',
+  'notes',
+  'imported_id',
+  'fout'
+];
+
+function batchStatus(groups, error) {
+  if (!error) {
+    return 'completed';
+  }
+
+  return groups.some((group) => group.importedCount !== undefined) ? 'partial' : 'failed';
+}
+
+function summarizeBatch(batch) {
+  return {
+    id: batch.id,
+    createdAt: batch.createdAt,
+    fileName: batch.fileName,
+    budgetId: batch.budgetId,
+    mock: batch.mock,
+    status: batch.status,
+    error: batch.error,
+    totalTransactions: batch.totalTransactions,
+    totalImported: batch.totalImported,
+    totalInvalid: batch.totalInvalid,
+    rollback: batch.rollback || null,
+    groups: batch.groups.map((group) => ({
+      group: group.group,
+      accountId: group.accountId,
+      transactionCount: group.transactionCount,
+      importedCount: group.importedCount ?? 0,
+      invalidCount: group.invalidCount
+    }))
+  };
+}
+
+export async function recordImportBatch(result) {
+  const groups = result.groups.map((group) => ({
+    group: group.group,
+    accountId: group.accountId,
+    transactionCount: group.transactionCount,
+    importedCount: group.importedCount,
+    invalidCount: group.invalidCount,
+    invalidRows: group.invalidRows,
+    warningRows: group.warningRows,
+    transactions: group.transactions || [],
+    actualResponse: group.actualResponse ?? null
+  }));
+
+  const batch = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    fileName: result.fileName,
+    sessionId: result.sessionId,
+    serverUrl: result.serverUrl,
+    budgetId: result.budgetId,
+    mock: Boolean(result.mock),
+    connector: result.connector || null,
+    connectionProfileId: result.connectionProfileId || null,
+    dateFormat: result.dateFormat,
+    status: batchStatus(groups, result.error),
+    error: result.error || null,
+    totalTransactions: result.totalTransactions,
+    totalImported: groups.reduce((sum, group) => sum + (group.importedCount || 0), 0),
+    totalInvalid: result.totalInvalid,
+    groups
+  };
+
+  await store.update((data) => {
+    data.imports.unshift(batch);
+  });
+  return batch;
+}
+
+export async function listImportBatches() {
+  const { imports } = await store.read();
+  return imports.map(summarizeBatch);
+}
+
+export async function getImportBatch(importId) {
+  const { imports } = await store.read();
+  return imports.find((batch) => batch.id === importId) || null;
+}
+
+export async function markImportRolledBack(importId, rollback) {
+  return store.update((data) => {
+    const batch = data.imports.find((item) => item.id === importId);
+    if (!batch) {
+      return null;
+    }
+
+    batch.rollback = { ...rollback, rolledBackAt: new Date().toISOString() };
+    return batch;
+  });
+}
+
+function escapeCsvValue(value) {
+  const text = String(value ?? '');
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatReportAmount(cents) {
+  if (cents === null || cents === undefined || cents === '') {
+    return '';
+  }
+
+  return typeof cents === 'number' ? (cents / 100).toFixed(2).replace('.', ',') : String(cents);
+}
+
+/**
+ * Semicolon separated report (opens directly in Dutch Excel) with one line
+ * per imported transaction and one per rejected row.
+ */
+export function buildImportReportCsv(batch) {
+  const lines = [REPORT_COLUMNS.join(';')];
+
+  for (const group of batch.groups) {
+    const imported = group.importedCount !== undefined && group.importedCount !== null;
+
+    for (const transaction of group.transactions) {
+      lines.push(
+        [
+          group.group,
+          group.accountId,
+          imported ? 'geimporteerd' : 'niet geimporteerd',
+          transaction.row ?? '',
+          transaction.date,
+          formatReportAmount(transaction.amount),
+          transaction.imported_payee ?? transaction.payee,
+          transaction.notes,
+          transaction.imported_id,
+          ''
+        ]
+          .map(escapeCsvValue)
+          .join(';')
+      );
+    }
+
+    for (const invalid of group.invalidRows || []) {
+      lines.push(
+        [
+          group.group,
+          group.accountId,
+          'ongeldig',
+          invalid.row,
+          invalid.values?.date,
+          invalid.values?.amount,
+          invalid.values?.payee,
+          invalid.values?.notes,
+          '',
+          (invalid.errors || []).join(' ')
+        ]
+          .map(escapeCsvValue)
+          .join(';')
+      );
+    }
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,398 @@
+import { getAccountLinks, saveAccountLinks } from './accountMatching.js';
+import { missingConnectionSetting } from './actualConnector.js';
+import { BALANCE_TIMINGS, checkRunningBalance } from './balances.js';
+import { createCategoryResolver, getCategoryMappings, listUnknownCategories } from './categories.js';
+import { DATE_FORMATS, shiftIsoDate } from './dates.js';
+import { classifyDuplicates } from './duplicates.js';
+import { ImportError, ValidationError } from './errors.js';
+import { recordImportBatch } from './importHistory.js';
+import { groupRows, normalizeGroup, resolveNormalizeOptions } from './transactionRows.js';
+import { MAX_TRANSFER_DAY_GAP, detectTransfers, findTransferCandidates } from './transfers.js';
+
+export function batchDateRange(transactions) {
+  const dates = transactions.map((transaction) => transaction.date).filter(Boolean).sort();
+  return { startDate: dates[0] || null, endDate: dates[dates.length - 1] || null };
+}
+
+/**
+ * Loads the Actual categories and remembered mappings needed to turn the
+ * category values of the rows into category ids.
+ */
+async function checkCategories(connector, entries) {
+  if (!entries.some((entry) => entry.category)) {
+    return { status: 'skipped', reason: 'Geen categorieën in de rijen.', resolve: () => null };
+  }
+
+  if (missingConnectionSetting(connector)) {
+    return {
+      status: 'skipped',
+      reason: 'Vul server URL, wachtwoord en budget ID in om categorieën te koppelen.',
+      resolve: () => null
+    };
+  }
+
+  try {
+    const [categories, mappings] = await Promise.all([
+      connector.listCategories(),
+      getCategoryMappings(connector.config.budgetId)
+    ]);
+    const resolve = createCategoryResolver(categories, mappings);
+    return { status: 'checked', unknownCategories: listUnknownCategories(entries, resolve), resolve };
+  } catch (error) {
+    return { status: 'failed', reason: `Categorieën ophalen mislukt: ${error.message}`, resolve: () => null };
+  }
+}
+
+/**
+ * Compares the running balance column of a group with Actual: the closing
+ * balance of the file should equal the account balance on that date once the
+ * new rows are imported. Exact duplicates already exist in Actual and are not
+ * counted twice.
+ */
+async function checkGroupBalance(connector, item, allEntries, entries, timing) {
+  const running = checkRunningBalance(
+    allEntries.map((entry) => ({
+      row: entry.row,
+      date: entry.transaction.date,
+      amount: entry.errors.length ? null : entry.transaction.amount,
+      balance: entry.balance
+    })),
+    timing
+  );
+  if (!running) {
+    return { status: 'skipped', reason: 'Geen saldokolom gekoppeld of geen bruikbare saldi.' };
+  }
+
+  if (missingConnectionSetting(connector) || !item.accountId) {
+    return {
+      status: 'partial',
+      ...running,
+      reason: 'Koppel een account en vul de verbinding in om met Actual te vergelijken.'
+    };
+  }
+
+  const duplicateRows = new Set((item.duplicateCheck?.exact || []).map((duplicate) => duplicate.row));
+  const importAmount = entries
+    .filter((entry) => !entry.errors.length && !duplicateRows.has(entry.row))
+    .filter((entry) => entry.transaction.date <= running.closingDate)
+    .reduce((sum, entry) => sum + entry.transaction.amount, 0);
+
+  try {
+    const actualBalance = await connector.getAccountBalance(item.accountId, running.closingDate);
+    const projectedBalance = actualBalance + importAmount;
+    return {
+      status: 'checked',
+      ...running,
+      actualBalance,
+      projectedBalance,
+      difference: running.closingBalance - projectedBalance
+    };
+  } catch (error) {
+    return {
+      status: 'partial',
+      ...running,
+      fetchFailed: true,
+      reason: `Actual saldo ophalen mislukt: ${error.message}`
+    };
+  }
+}
+
+/** Account keys mapped in this request or linked by earlier imports into the budget. */
+async function ownAccountKeys(connector, accountMapping) {
+  const mapped = Object.keys(accountMapping || {}).filter((group) => accountMapping[group]);
+  if (!connector.config.budgetId) {
+    return mapped;
+  }
+
+  try {
+    return [...mapped, ...Object.keys(await getAccountLinks(connector.config.budgetId))];
+  } catch {
+    // Without the stored links only transfers to mapped accounts are recognized.
+    return mapped;
+  }
+}
+
+async function checkGroupDuplicates(connector, accountId, entries, transferCandidates) {
+  if (missingConnectionSetting(connector)) {
+    return { status: 'skipped', reason: 'Vul server URL, wachtwoord en budget ID in om op dubbelen te controleren.' };
+  }
+
+  if (!accountId) {
+    return { status: 'skipped', reason: 'Geen account gekoppeld.' };
+  }
+
+  const { startDate, endDate } = batchDateRange(
+    entries.filter((entry) => !entry.errors.length).map((entry) => entry.transaction)
+  );
+  if (!startDate) {
+    return { status: 'skipped', reason: 'Geen geldige transacties om te controleren.' };
+  }
+
+  // An existing transfer half carries the date of the other side, which can be a few days apart.
+  const hasTransfers = entries.some((entry) => transferCandidates.has(entry));
+  const searchStart = hasTransfers ? shiftIsoDate(startDate, -MAX_TRANSFER_DAY_GAP) : startDate;
+  const searchEnd = hasTransfers ? shiftIsoDate(endDate, MAX_TRANSFER_DAY_GAP) : endDate;
+
+  try {
+    const existing = await connector.getTransactions(accountId, searchStart, searchEnd);
+    return { status: 'checked', startDate, endDate, ...classifyDuplicates(entries, existing, transferCandidates) };
+  } catch (error) {
+    return { status: 'failed', reason: `Bestaande transacties ophalen mislukt: ${error.message}` };
+  }
+}
+
+/**
+ * Normalizes, checks and (without `dryRun`) imports an import session into
+ * Actual. `request` holds the same fields as the `/api/import` body. Returns
+ * the summary; a refused or failed import throws an ImportError carrying the
+ * HTTP status and response body.
+ */
+export async function runImport(session, request, connector) {
+  const { mapping, groupByColumn, accountMapping, dateFormat, excludedRows, dryRun = true } = request;
+
+  if (!mapping) {
+    throw new ImportError(400, { error: 'mapping is verplicht.' });
+  }
+
+  if (dateFormat && dateFormat !== 'auto' && !DATE_FORMATS.includes(dateFormat)) {
+    throw new ImportError(400, { error: `Onbekend datumformaat '${dateFormat}'.` });
+  }
+
+  let options;
+  try {
+    options = await resolveNormalizeOptions(session, request);
+  } catch (error) {
+    throw error instanceof ValidationError
+      ? new ImportError(400, { error: error.message })
+      : new ImportError(500, {
+          error: 'Payee-regels konden niet worden gelezen.',
+          details: error.message,
+          hint: 'Controleer of DATA_DIR bestaat en leesbaar is.'
+        });
+  }
+  const rowNumbers = new Map(session.records.map((record, index) => [record, index + 1]));
+  const grouped = groupRows(session.records, groupByColumn);
+  const result = [];
+  const entriesByGroup = new Map();
+  const allEntriesByGroup = new Map();
+
+  const excluded = new Set([
+    ...session.excludedRows,
+    ...(Array.isArray(excludedRows) ? excludedRows : []).map(Number)
+  ]);
+
+  for (const [group, groupRowsData] of Object.entries(grouped)) {
+    const accountId = accountMapping?.[group] || null;
+    const allEntries = normalizeGroup(group, groupRowsData, options, rowNumbers);
+    const entries = allEntries.filter((entry) => !excluded.has(entry.row) && !entry.skipped);
+    const normalized = entries.map((entry) => entry.transaction);
+    const invalidRows = entries
+      .filter((entry) => entry.errors.length)
+      .map(({ row, errors, values }) => ({ row, errors, values }));
+    const warningRows = entries
+      .filter((entry) => entry.warnings.length)
+      .map(({ row, warnings, values }) => ({ row, warnings, values }));
+
+    entriesByGroup.set(group, entries);
+    allEntriesByGroup.set(group, allEntries);
+    result.push({
+      group,
+      accountId,
+      transactionCount: normalized.length,
+      excludedCount: allEntries.filter((entry) => excluded.has(entry.row)).length,
+      skippedCount: allEntries.filter((entry) => entry.skipped && !excluded.has(entry.row)).length,
+      ruledCount: entries.filter((entry) => entry.appliedRules.length).length,
+      invalidCount: invalidRows.length,
+      invalidRows,
+      warningRows,
+      preview: normalized.slice(0, 5)
+    });
+  }
+
+  const { serverUrl, budgetId } = connector.config;
+
+  const summary = {
+    dryRun,
+    sessionId: session.id,
+    fileName: session.fileName,
+    dateFormat: options.dateFormat,
+    groups: result,
+    totalTransactions: result.reduce((sum, item) => sum + item.transactionCount, 0),
+    totalInvalid: result.reduce((sum, item) => sum + item.invalidCount, 0),
+    totalWarnings: result.reduce((sum, item) => sum + item.warningRows.length, 0),
+    totalExcluded: result.reduce((sum, item) => sum + item.excludedCount, 0),
+    totalSkipped: result.reduce((sum, item) => sum + item.skippedCount, 0)
+  };
+
+  const { resolve: resolveCategory, ...categoryCheck } = await checkCategories(
+    connector,
+    [...entriesByGroup.values()].flat().filter((entry) => !entry.errors.length)
+  );
+  summary.categoryCheck = categoryCheck;
+
+  const validGroups = result.map((item) => ({
+    group: item.group,
+    accountId: item.accountId,
+    entries: entriesByGroup.get(item.group).filter((entry) => !entry.errors.length)
+  }));
+  const transferDetection = detectTransfers(validGroups);
+  for (const item of result) {
+    const entries = entriesByGroup.get(item.group);
+    item.transferCount = entries.filter((entry) => transferDetection.transfers.has(entry)).length;
+    item.transferCounterpartCount = entries.filter((entry) => transferDetection.counterparts.has(entry)).length;
+  }
+  summary.transfers = { pairs: transferDetection.pairs, unmatched: transferDetection.unmatched };
+  summary.totalTransfers = transferDetection.pairs.length;
+
+  if (dryRun) {
+    const balanceTiming = BALANCE_TIMINGS.includes(request.balanceTiming) ? request.balanceTiming : 'after';
+    const transferCandidates = findTransferCandidates(validGroups, await ownAccountKeys(connector, accountMapping));
+    for (const item of result) {
+      item.duplicateCheck = await checkGroupDuplicates(
+        connector,
+        item.accountId,
+        entriesByGroup.get(item.group),
+        transferCandidates
+      );
+      item.balanceCheck = await checkGroupBalance(
+        connector,
+        item,
+        allEntriesByGroup.get(item.group),
+        entriesByGroup.get(item.group),
+        balanceTiming
+      );
+    }
+
+    session.duplicateStatus = new Map(
+      result.flatMap((item) => [
+        ...(item.duplicateCheck.exact || []).map((duplicate) => [duplicate.row, 'exact']),
+        ...(item.duplicateCheck.probable || []).map((duplicate) => [duplicate.row, 'probable'])
+      ])
+    );
+    summary.totalDuplicates = result.reduce((sum, item) => sum + (item.duplicateCheck.exact?.length || 0), 0);
+    summary.totalProbableDuplicates = result.reduce(
+      (sum, item) => sum + (item.duplicateCheck.probable?.length || 0),
+      0
+    );
+    return summary;
+  }
+
+  const missingSetting = missingConnectionSetting(connector);
+  if (missingSetting) {
+    throw new ImportError(
+      400,
+      {
+        serverUrl: { error: 'ACTUAL_SERVER_URL ontbreekt voor import.', hint: 'Vul de server URL in bij stap 3.' },
+        password: { error: 'ACTUAL_PASSWORD ontbreekt voor import.', hint: 'Vul het wachtwoord in bij stap 3.' },
+        budgetId: {
+          error: 'ACTUAL_BUDGET_ID ontbreekt voor import.',
+          hint: 'Kies eerst een budget ID via "Haal budget IDs op".'
+        }
+      }[missingSetting]
+    );
+  }
+
+  const unmapped = result.find((item) => !item.accountId);
+  if (unmapped) {
+    throw new ImportError(400, { error: `Geen account gekoppeld voor groep '${unmapped.group}'.` });
+  }
+
+  if (categoryCheck.status === 'failed') {
+    throw new ImportError(502, { error: categoryCheck.reason, hint: 'Import is niet gestart.' });
+  }
+
+  let transferPayees = new Map();
+  if (transferDetection.pairs.length) {
+    const targetAccounts = [...new Set(transferDetection.transfers.values())];
+    try {
+      transferPayees = await connector.getTransferPayees();
+    } catch (error) {
+      throw new ImportError(502, {
+        error: 'Kon transfer-payees niet ophalen bij Actual API.',
+        details: error.message,
+        hint: 'Import is niet gestart.'
+      });
+    }
+
+    const missing = targetAccounts.find((accountId) => !transferPayees.has(accountId));
+    if (missing) {
+      throw new ImportError(502, {
+        error: `Geen transfer-payee gevonden voor account '${missing}'.`,
+        hint: 'Import is niet gestart.'
+      });
+    }
+  }
+
+  let failure = null;
+
+  for (const item of result) {
+    const importEntries = entriesByGroup
+      .get(item.group)
+      // Actual creates the incoming half of a transfer itself.
+      .filter((entry) => !entry.errors.length && !transferDetection.counterparts.has(entry));
+    const transactions = importEntries.map((entry) => {
+      const transferAccount = transferDetection.transfers.get(entry);
+      if (transferAccount) {
+        return {
+          ...entry.transaction,
+          payee: transferPayees.get(transferAccount),
+          imported_payee: entry.transaction.payee
+        };
+      }
+
+      const category = resolveCategory(entry.category);
+      return category ? { ...entry.transaction, category } : entry.transaction;
+    });
+    // The history keeps the file row with each transaction for the report.
+    item.transactions = transactions.map((transaction, index) => ({ row: importEntries[index].row, ...transaction }));
+
+    try {
+      item.actualResponse = await connector.importTransactions(item.accountId, transactions);
+      item.importedCount = transactions.length;
+    } catch (error) {
+      failure = { group: item.group, details: error.message };
+      break;
+    }
+  }
+
+  let batch = null;
+  try {
+    batch = await recordImportBatch({
+      ...summary,
+      groups: result,
+      budgetId,
+      serverUrl,
+      connectionProfileId: request.connectionProfileId || null,
+      connector: connector.kind,
+      mock: connector.kind === 'mock',
+      error: failure
+    });
+  } catch (error) {
+    console.error(`Importgeschiedenis kon niet worden opgeslagen: ${error.message}`);
+  }
+
+  const groups = result.map(({ transactions: _transactions, ...item }) => item);
+
+  if (!failure && budgetId) {
+    try {
+      await saveAccountLinks(
+        budgetId,
+        Object.fromEntries(result.map((item) => [item.group, item.accountId]))
+      );
+    } catch (error) {
+      console.error(`Accountkoppelingen konden niet worden opgeslagen: ${error.message}`);
+    }
+  }
+
+  if (failure) {
+    throw new ImportError(502, {
+      error: `Import naar Actual mislukt voor groep '${failure.group}'.`,
+      details: failure.details,
+      hint: 'Controleer of account mapping klopt en of de transactiedata geldig is.',
+      importId: batch?.id || null,
+      groups
+    });
+  }
+
+  return { ...summary, groups, importId: batch?.id || null };
+}
@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import { detectBankProfile, getBankProfile, listBankProfiles, profileHasHeaderRow } from './bankProfiles.js';
+import { parseCsv, resolveCsvDialect } from './csvDialect.js';
+import { ValidationError } from './errors.js';
+import { decodeText, detectSpreadsheet, readSpreadsheet, spreadsheetCells } from './fileDecoding.js';
+import { mergeUploadedFiles } from './fileMerge.js';
+import { STATEMENT_FORMATS, detectStatementFormat, parseStatement } from './statementFormats.js';
+import { normalizeCellValue } from './transactionRows.js';
+
+const UPLOAD_FORMAT_LABELS = {
+  xlsx: 'XLSX bestand',
+  xls: 'XLS bestand',
+  ...Object.fromEntries(Object.entries(STATEMENT_FORMATS).map(([id, name]) => [id, `${name} bestand`]))
+};
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MINUTES || 120) * 60 * 1000;
+const MAX_IMPORT_SESSIONS = Number(process.env.MAX_IMPORT_SESSIONS || 20);
+
+const importSessions = new Map();
+
+function buildRecords(cells, profile) {
+  const hasHeaderRow = profileHasHeaderRow(profile, cells[0]);
+  const headers = hasHeaderRow ? (cells[0] || []).map(normalizeCellValue) : profile.columns;
+  const dataRows = hasHeaderRow ? cells.slice(1) : cells;
+
+  const records = dataRows.map((cellsRow) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = cellsRow[index] ?? '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+function pruneImportSessions(now = Date.now()) {
+  for (const [id, session] of importSessions) {
+    if (now - session.lastUsedAt > SESSION_TTL_MS) {
+      importSessions.delete(id);
+    }
+  }
+}
+
+/** Drops the least recently used sessions so a new one fits under MAX_IMPORT_SESSIONS. */
+function makeRoomForSession() {
+  while (importSessions.size >= Math.max(MAX_IMPORT_SESSIONS, 1)) {
+    const [oldest] = [...importSessions.values()].sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+    importSessions.delete(oldest.id);
+  }
+}
+
+function createImportSession({
+  fileName,
+  format = 'csv',
+  encoding = '',
+  sheetName = '',
+  sheetNames = [],
+  files = [],
+  text = '',
+  dialect = null,
+  sheetRows = null,
+  cells,
+  profile
+}) {
+  pruneImportSessions();
+  makeRoomForSession();
+
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    fileName,
+    format,
+    encoding,
+    sheetName,
+    sheetNames,
+    files,
+    // Kept for CSV uploads so a changed dialect can be parsed again.
+    text,
+    dialect,
+    // Typed spreadsheet values, formatted again when another profile is chosen.
+    sheetRows,
+    cells,
+    detectedProfileId: profile?.id || '',
+    ...applySessionProfile(cells, profile),
+    createdAt: now,
+    lastUsedAt: now
+  };
+
+  importSessions.set(session.id, session);
+  return session;
+}
+
+export function applySessionProfile(cells, profile) {
+  return {
+    profileId: profile?.id || '',
+    rowEdits: new Map(),
+    excludedRows: new Set(),
+    duplicateStatus: new Map(),
+    ...buildRecords(cells, profile)
+  };
+}
+
+/** Switches the bank profile of a session and rebuilds its records. */
+export function changeSessionProfile(session, profile) {
+  const cells = session.sheetRows ? spreadsheetCells(session.sheetRows, profile) : session.cells;
+  Object.assign(session, { cells, ...applySessionProfile(cells, profile) });
+}
+
+export function getImportSession(sessionId) {
+  pruneImportSessions();
+
+  const session = importSessions.get(String(sessionId || ''));
+  if (session) {
+    session.lastUsedAt = Date.now();
+  }
+  return session || null;
+}
+
+/**
+ * A header row is text and detected as is. Headerless exports are recognised
+ * by their first transaction, which only matches once the dates and amounts
+ * are written the way that bank does.
+ */
+function detectSpreadsheetProfile(rows) {
+  const firstRow = rows.slice(0, 1);
+  return (
+    detectBankProfile(spreadsheetCells(firstRow)[0]) ||
+    listBankProfiles()
+      .map((item) => getBankProfile(item.id))
+      .find((profile) => detectBankProfile(spreadsheetCells(firstRow, profile)[0])?.id === profile.id) ||
+    null
+  );
+}
+
+/**
+ * Turns one uploaded file into cells: a sheet of an XLSX/XLS workbook, a
+ * CAMT.053/MT940/OFX statement or CSV text read with a sniffed (or given)
+ * dialect.
+ */
+function readUploadedFile(file, { sheet = '', encoding = '', dialect = {} } = {}) {
+  let format = detectSpreadsheet(file.buffer);
+
+  try {
+    if (format) {
+      const { rows, ...workbook } = readSpreadsheet(file.buffer, sheet);
+      const cells = spreadsheetCells(rows, detectSpreadsheetProfile(rows));
+      return { format, ...workbook, sheetRows: rows, cells };
+    }
+
+    const decoded = decodeText(file.buffer, encoding);
+    format = detectStatementFormat(decoded.text);
+    if (format) {
+      return { format, encoding: decoded.encoding, cells: parseStatement(decoded.text, format) };
+    }
+
+    const csvDialect = resolveCsvDialect(decoded.text, dialect);
+    return {
+      format: 'csv',
+      encoding: decoded.encoding,
+      text: decoded.text,
+      dialect: csvDialect,
+      cells: parseCsv(decoded.text, csvDialect)
+    };
+  } catch (error) {
+    throw new ValidationError(`Kon ${UPLOAD_FORMAT_LABELS[format] || 'CSV'} niet verwerken: ${error.message}`);
+  }
+}
+
+function createMergedImportSession(files, encoding) {
+  const merged = mergeUploadedFiles(
+    files.map((file) => {
+      try {
+        const { format, cells } = readUploadedFile(file, { encoding });
+        return { fileName: file.originalname, format, cells, profile: detectBankProfile(cells[0]) };
+      } catch (error) {
+        throw new ValidationError(`${file.originalname}: ${error.message}`);
+      }
+    })
+  );
+
+  return createImportSession({
+    fileName: files.map((file) => file.originalname).join(', '),
+    format: 'multi',
+    files: merged.files,
+    cells: merged.cells,
+    profile: merged.profile
+  });
+}
+
+/**
+ * Creates the import session for uploaded files (`{ originalname, buffer }`,
+ * as multer hands them over). The sheet and dialect settings only apply when
+ * a single file is uploaded.
+ */
+export function createUploadSession(files, { sheet = '', encoding = '', dialect = {} } = {}) {
+  if (files.length > 1) {
+    return createMergedImportSession(files, encoding);
+  }
+
+  const parsed = readUploadedFile(files[0], { sheet, encoding, dialect });
+  return createImportSession({
+    fileName: files[0].originalname,
+    ...parsed,
+    profile: detectBankProfile(parsed.cells[0])
+  });
+}
@@ -0,0 +1,45 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || 'data');
+
+/**
+ * Small JSON-file backed store for data that has to survive restarts. Writes
+ * go to a temp file first and are renamed into place, and are chained so
+ * concurrent requests never interleave.
+ */
+export function createJsonStore(fileName, defaultValue) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let pending = Promise.resolve();
+
+  async function read() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(defaultValue);
+      }
+      throw error;
+    }
+  }
+
+  async function write(value) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(value, null, 2)}\n`, 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  function update(mutate) {
+    const next = pending.then(async () => {
+      const value = await read();
+      const result = await mutate(value);
+      await write(value);
+      return result;
+    });
+    pending = next.catch(() => {});
+    return next;
+  }
+
+  return { filePath, read, update };
+}
@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+import { normalizeIban } from './iban.js';
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('payeeRules.json', { rules: [] });
+
+export const RULE_OPERATORS = ['contains', 'regex', 'iban'];
+const ACTION_FIELDS = ['payee', 'notes', 'category'];
+
+function pickRuleFields(input) {
+  const actions = {};
+  for (const field of ACTION_FIELDS) {
+    if (typeof input?.actions?.[field] === 'string' && input.actions[field].trim()) {
+      actions[field] = input.actions[field].trim();
+    }
+  }
+  if (input?.actions?.skip) {
+    actions.skip = true;
+  }
+
+  return {
+    name: String(input?.name ?? '').trim(),
+    enabled: input?.enabled !== false,
+    column: String(input?.column ?? '').trim(),
+    operator: input?.operator || 'contains',
+    value: String(input?.value ?? '').trim(),
+    actions
+  };
+}
+
+function validateRule(rule) {
+  if (!RULE_OPERATORS.includes(rule.operator)) {
+    throw new ValidationError(`Onbekende vergelijking '${rule.operator}'.`);
+  }
+
+  if (!rule.value) {
+    throw new ValidationError('Een regel heeft een zoekwaarde nodig.');
+  }
+
+  if (rule.operator === 'regex') {
+    try {
+      new RegExp(rule.value, 'i');
+    } catch (error) {
+      throw new ValidationError(`Ongeldige reguliere expressie: ${error.message}`);
+    }
+  }
+
+  if (!Object.keys(rule.actions).length) {
+    throw new ValidationError('Een regel moet payee, notes of categorie zetten, of de rij overslaan.');
+  }
+}
+
+export async function listPayeeRules() {
+  const { rules } = await store.read();
+  return rules;
+}
+
+export async function createPayeeRule(input) {
+  const rule = {
+    id: crypto.randomUUID(),
+    ...pickRuleFields(input),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  validateRule(rule);
+
+  await store.update((data) => {
+    data.rules.push(rule);
+  });
+  return rule;
+}
+
+export async function updatePayeeRule(ruleId, input) {
+  return store.update((data) => {
+    const index = data.rules.findIndex((rule) => rule.id === ruleId);
+    if (index === -1) {
+      return null;
+    }
+
+    const rule = {
+      ...data.rules[index],
+      ...pickRuleFields({ ...data.rules[index], ...input }),
+      updatedAt: new Date().toISOString()
+    };
+    validateRule(rule);
+
+    data.rules[index] = rule;
+    return rule;
+  });
+}
+
+export async function deletePayeeRule(ruleId) {
+  return store.update((data) => {
+    const before = data.rules.length;
+    data.rules = data.rules.filter((rule) => rule.id !== ruleId);
+    return data.rules.length !== before;
+  });
+}
+
+export async function reorderPayeeRules(ruleIds) {
+  return store.update((data) => {
+    const position = new Map((ruleIds || []).map((id, index) => [id, index]));
+    data.rules.sort(
+      (a, b) => (position.get(a.id) ?? Number.MAX_SAFE_INTEGER) - (position.get(b.id) ?? Number.MAX_SAFE_INTEGER)
+    );
+    return data.rules;
+  });
+}
+
+/**
+ * Fills $1, $2 ..., $<name>, $& and $$ in an action from the match itself, so
+ * lookarounds and anchors keep working against the full column text.
+ */
+function expandMatch(template, match) {
+  return template.replace(/\$(\$|&|<([^>]*)>|\d{1,2})/g, (token, part, name) => {
+    if (part === '$') {
+      return '$';
+    }
+    if (part === '&') {
+      return match[0];
+    }
+    if (name !== undefined) {
+      return match.groups && name in match.groups ? (match.groups[name] ?? '') : token;
+    }
+    // $12 means group 12 only when it exists, otherwise group 1 followed by '2'.
+    const index = Number(part) < match.length ? Number(part) : Number(part[0]);
+    if (!index || index >= match.length) {
+      return token;
+    }
+    return (match[index] ?? '') + part.slice(String(index).length);
+  });
+}
+
+function buildMatcher(rule) {
+  if (rule.operator === 'regex') {
+    const pattern = new RegExp(rule.value, 'i');
+    return (text) => {
+      const match = pattern.exec(text);
+      // Actions may use $1, $2 ... to copy parts of the matched text.
+      return match ? (template) => expandMatch(template, match) : null;
+    };
+  }
+
+  if (rule.operator === 'iban') {
+    const iban = normalizeIban(rule.value);
+    return (text) => (normalizeIban(text) === iban ? (template) => template : null);
+  }
+
+  const needle = rule.value.toLowerCase();
+  return (text) => (text.toLowerCase().includes(needle) ? (template) => template : null);
+}
+
+/**
+ * Prepares the enabled rules for `applyPayeeRules`, in their stored order.
+ * A rule without a column is tested against every column of the source row.
+ */
+export function compilePayeeRules(rules) {
+  return (rules || [])
+    .filter((rule) => rule.enabled !== false)
+    .map((rule) => ({ rule, matches: buildMatcher(rule) }));
+}
+
+export function applyPayeeRules(record, mappedRow, compiledRules) {
+  const row = { ...mappedRow };
+  const applied = [];
+  let category = null;
+  let skip = false;
+
+  for (const { rule, matches } of compiledRules) {
+    const columns = rule.column ? [rule.column] : Object.keys(record);
+    let expand = null;
+    for (const column of columns) {
+      expand = matches(String(record[column] ?? ''));
+      if (expand) {
+        break;
+      }
+    }
+
+    if (!expand) {
+      continue;
+    }
+
+    applied.push({ id: rule.id, name: rule.name || rule.value });
+    if (rule.actions.payee) {
+      row.payee = expand(rule.actions.payee).trim();
+    }
+    if (rule.actions.notes) {
+      row.notes = expand(rule.actions.notes).trim();
+    }
+    if (rule.actions.category) {
+      category = expand(rule.actions.category).trim();
+    }
+    if (rule.actions.skip) {
+      skip = true;
+      break;
+    }
+  }
+
+  return { row, applied, category, skip };
+}
@@ -2,327 +2,1034 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import express from 'express';
 import multer from 'multer';
-import { parse } from 'csv-parse/sync';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { getAccountLinks, suggestAccounts } from './accountMatching.js';
+import {
+  AUTH_COOKIE,
+  authenticateRequest,
+  createAuthSession,
+  deleteAuthSession,
+  loadAuthConfig,
+  readCookie,
+  renderLoginPage,
+  verifyCredentials
+} from './auth.js';
+import { createActualConnector, missingConnectionSetting, sameServerUrl } from './actualConnector.js';
+import { shapeAccount } from './actualShapes.js';
+import { detectBankProfile, getBankProfile, listBankProfiles, shapeBankProfile } from './bankProfiles.js';
+import { parseAmountValue } from './amounts.js';
+import { BALANCE_TIMINGS, openingBalance } from './balances.js';
+import { DATE_FORMATS, parseDateValue, todayIsoDate } from './dates.js';
+import { getCategoryMappings, saveCategoryMappings } from './categories.js';
+import {
+  connectionProfilesEnabled,
+  createConnectionProfile,
+  deleteConnectionProfile,
+  listConnectionProfiles,
+  resolveConnectionProfile,
+  updateConnectionProfile
+} from './connectionProfiles.js';
+import { parseCsv, resolveCsvDialect } from './csvDialect.js';
+import { ConfigurationError, ImportError, ValidationError } from './errors.js';
+import { buildImportReportCsv, getImportBatch, listImportBatches, markImportRolledBack } from './importHistory.js';
+import { batchDateRange, runImport } from './importRunner.js';
+import { applySessionProfile, changeSessionProfile, createUploadSession, getImportSession } from './importSessions.js';
+import {
+  createPayeeRule,
+  deletePayeeRule,
+  listPayeeRules,
+  reorderPayeeRules,
+  updatePayeeRule
+} from './payeeRules.js';
+import {
+  createTemplate,
+  deleteTemplate,
+  findTemplatesForHeaders,
+  getTemplate,
+  listTemplates,
+  updateTemplate
+} from './templates.js';
+import { groupRows, normalizeGroup, parseEditedAmount, resolveNormalizeOptions } from './transactionRows.js';
 
 dotenv.config();
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+const UPLOAD_MAX_MB = Number(process.env.UPLOAD_MAX_MB || 20);
+const UPLOAD_MAX_FILES = Number(process.env.UPLOAD_MAX_FILES || 10);
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_MB * 1024 * 1024, files: UPLOAD_MAX_FILES }
+});
 const port = Number(process.env.APP_PORT || 3000);
 
-app.use(cors());
+const PREVIEW_ROW_LIMIT = 300;
+const authConfig = loadAuthConfig();
+
+if (!authConfig.enabled) {
+  console.warn('Let op: geen AUTH_USERS of AUTH_PROXY_HEADER ingesteld, de importer is zonder login bereikbaar.');
+}
+
+// Without CORS_ORIGINS only the importer's own origin may call the API.
+app.use(cors({ origin: authConfig.corsOrigins.length ? authConfig.corsOrigins : false, credentials: true }));
 app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: false }));
 
-function detectDelimiter(csvText) {
-  const firstLine = (csvText || '').split(/\r?\n/, 1)[0] || '';
-  const candidates = [';', ',', '\t'];
-  let best = ';';
-  let bestCount = -1;
-
-  for (const candidate of candidates) {
-    const count = firstLine.split(candidate).length;
-    if (count > bestCount) {
-      bestCount = count;
-      best = candidate;
-    }
-  }
+async function sessionPreviewPayload(session) {
+  const matchingTemplates = await findTemplatesForHeaders(session.headers);
+
+  return {
+    sessionId: session.id,
+    fileName: session.fileName,
+    format: session.format,
+    encoding: session.encoding,
+    sheetName: session.sheetName,
+    sheetNames: session.sheetNames,
+    files: session.files,
+    delimiter: session.dialect?.delimiter || '',
+    dialect: session.dialect,
+    detectedProfileId: session.detectedProfileId,
+    profile: shapeBankProfile(getBankProfile(session.profileId)),
+    headers: session.headers,
+    rowCount: session.records.length,
+    previewRowCount: Math.min(session.records.length, PREVIEW_ROW_LIMIT),
+    rows: session.records.slice(0, PREVIEW_ROW_LIMIT),
+    matchingTemplateIds: matchingTemplates.map((template) => template.id)
+  };
+}
+
+const UPLOAD_LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: `Bestand is groter dan ${UPLOAD_MAX_MB} MB.`,
+  LIMIT_FILE_COUNT: `Upload maximaal ${UPLOAD_MAX_FILES} bestanden tegelijk.`
+};
+
+/** Multer middleware that answers upload errors as JSON instead of an HTML 500. */
+function receiveUploads(field) {
+  const receive = upload.array(field);
+  return (req, res, next) => {
+    receive(req, res, (error) => {
+      if (!error) {
+        next();
+        return;
+      }
+      const message = UPLOAD_LIMIT_MESSAGES[error.code];
+      res.status(message ? 413 : 400).json({ error: message || error.message });
+    });
+  };
+}
+
+function sendSessionNotFound(res) {
+  res.status(404).json({
+    error: 'Importsessie niet gevonden of verlopen.',
+    hint: 'Upload het CSV bestand opnieuw.'
+  });
+}
 
-  return best;
+function addedTransactionIds(actualResponse) {
+  const added = actualResponse?.added ?? actualResponse?.data?.added;
+  return Array.isArray(added) ? added.map(String) : null;
 }
 
-function normalizeCellValue(value) {
-  if (value === undefined || value === null) {
-    return '';
+/**
+ * Finds the Actual transactions created by one group of an import batch.
+ * Prefers the ids Actual returned as `added`; falls back to matching on the
+ * imported_id values that were sent.
+ */
+async function findBatchGroupTransactions(connector, group) {
+  const { startDate, endDate } = batchDateRange(group.transactions);
+  if (!startDate || !group.accountId) {
+    return { found: [], missing: [] };
   }
 
-  return String(value).trim();
+  const existing = await connector.getTransactions(group.accountId, startDate, endDate);
+  const addedIds = addedTransactionIds(group.actualResponse);
+  const importedIds = new Set(group.transactions.map((transaction) => transaction.imported_id));
+
+  const found = existing.filter((transaction) =>
+    addedIds ? addedIds.includes(String(transaction.id)) : importedIds.has(transaction.imported_id)
+  );
+  const foundImportedIds = new Set(found.map((transaction) => transaction.imported_id));
+  const missing = addedIds
+    ? addedIds.filter((id) => !found.some((transaction) => String(transaction.id) === id))
+    : [...importedIds].filter((importedId) => !foundImportedIds.has(importedId));
+
+  return { found, missing };
 }
 
-function parseAmount(rawValue) {
-  const text = normalizeCellValue(rawValue);
-  if (!text) {
+/**
+ * Connector for a request, or null after answering with an error. With a
+ * `profileId` the stored connection fills in what the request leaves empty.
+ * The stored password is only ever sent to the profile's own server URL.
+ */
+async function connectorForRequest(res, actualConfig, kind) {
+  let config = actualConfig || {};
+
+  if (config.profileId) {
+    let profile;
+    try {
+      profile = await resolveConnectionProfile(String(config.profileId));
+    } catch (error) {
+      sendConnectionProfileError(res, error);
+      return null;
+    }
+
+    if (!profile) {
+      res.status(404).json({ error: 'Verbindingsprofiel niet gevonden.', hint: 'Kies een ander profiel bij stap 3.' });
+      return null;
+    }
+
+    if (config.serverUrl && !sameServerUrl(config.serverUrl, profile.serverUrl)) {
+      res.status(400).json({
+        error: 'De server URL hoort niet bij het gekozen verbindingsprofiel.',
+        hint: 'Kies geen profiel om een andere server te gebruiken, of pas het profiel aan.'
+      });
+      return null;
+    }
+
+    config = {
+      serverUrl: profile.serverUrl,
+      password: config.password || profile.password,
+      budgetId: config.budgetId || profile.budgetId
+    };
+  }
+
+  try {
+    return createActualConnector(config, kind);
+  } catch (error) {
+    res.status(500).json({ error: error.message, hint: 'Pas ACTUAL_CONNECTOR aan en herstart de server.' });
     return null;
   }
+}
+
+app.get('/api/health', (_req, res) => {
+  res.json({ ok: true });
+});
+
+/**
+ * Path on this site to continue to after login. Browsers read `/\evil.com`
+ * as `//evil.com`, so the target is resolved like a browser would and must
+ * stay on the same origin.
+ */
+function safeRedirectTarget(value) {
+  const target = String(value || '/');
+  if (!target.startsWith('/') || /[\\\u0000-\u001f\u007f]/.test(target)) {
+    return '/';
+  }
 
-  const normalized = text.replace(/\./g, '').replace(',', '.').replace(/[^\d.-]/g, '');
-  const number = Number(normalized);
-  return Number.isFinite(number) ? number : null;
+  const base = new URL('http://importer.invalid');
+  const resolved = new URL(target, base);
+  return resolved.origin === base.origin ? `${resolved.pathname}${resolved.search}${resolved.hash}` : '/';
 }
 
-function mapRows(rows, mapping) {
-  const mapped = [];
+app.get('/login', (req, res) => {
+  if (!authConfig.enabled) {
+    res.redirect('/');
+    return;
+  }
+
+  res.type('html').send(
+    renderLoginPage(authConfig, {
+      error: req.query.fout ? 'Ongeldige gebruikersnaam of wachtwoord.' : '',
+      next: safeRedirectTarget(req.query.next)
+    })
+  );
+});
 
-  for (const row of rows) {
-    const mappedRow = {};
+app.post('/api/auth/login', (req, res) => {
+  const fromForm = !req.is('application/json');
+  const next = safeRedirectTarget(req.body?.next);
+  const { username, password } = req.body || {};
 
-    for (const [targetField, rule] of Object.entries(mapping || {})) {
-      if (!rule) {
-        mappedRow[targetField] = '';
-        continue;
+  if (!authConfig.users.size || !verifyCredentials(authConfig, username, password)) {
+    if (fromForm) {
+      res.redirect(303, `/login?fout=1&next=${encodeURIComponent(next)}`);
+      return;
+    }
+    res.status(401).json({ error: 'Ongeldige gebruikersnaam of wachtwoord.' });
+    return;
+  }
+
+  const { token, maxAge } = createAuthSession(String(username));
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: authConfig.secureCookie,
+    maxAge,
+    path: '/'
+  });
+
+  if (fromForm) {
+    res.redirect(303, next);
+    return;
+  }
+  res.json({ user: String(username) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = readCookie(req, AUTH_COOKIE);
+  if (token) {
+    deleteAuthSession(token);
+  }
+  res.clearCookie(AUTH_COOKIE, { path: '/' });
+  res.status(204).end();
+});
+
+app.get('/api/auth/me', (req, res) => {
+  if (!authConfig.enabled) {
+    res.json({ authEnabled: false, user: null });
+    return;
+  }
+
+  const auth = authenticateRequest(authConfig, req);
+  if (!auth) {
+    res.status(401).json({ error: 'Niet ingelogd.', authRequired: true });
+    return;
+  }
+  res.json({ authEnabled: true, user: auth.user, method: auth.method });
+});
+
+// Everything registered below, API and web UI alike, requires a login.
+app.use((req, res, next) => {
+  if (!authConfig.enabled || authenticateRequest(authConfig, req)) {
+    next();
+    return;
+  }
+
+  if (req.path.startsWith('/api/')) {
+    res.status(401).json({ error: 'Niet ingelogd.', hint: 'Log opnieuw in.', authRequired: true });
+    return;
+  }
+  res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+});
+
+app.post('/api/csv/preview', receiveUploads('csv'), async (req, res) => {
+  const files = req.files || [];
+  if (!files.length) {
+    res.status(400).json({ error: 'Geen bestand geüpload (field: csv).' });
+    return;
+  }
+
+  try {
+    const session = createUploadSession(files, {
+      sheet: req.body?.sheet || '',
+      encoding: req.body?.encoding || '',
+      dialect: {
+        delimiter: req.body?.delimiter,
+        quote: req.body?.quote,
+        headerRow: req.body?.headerRow,
+        footerRows: req.body?.footerRows
       }
+    });
 
-      if (rule.type === 'merge') {
-        const separator = rule.separator ?? ' ';
-        const values = (rule.columns || [])
-          .map((column) => normalizeCellValue(row[column]))
-          .filter(Boolean);
-        mappedRow[targetField] = values.join(separator);
+    res.json(await sessionPreviewPayload(session));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/bank-profiles', (_req, res) => {
+  res.json({ profiles: listBankProfiles() });
+});
+
+app.post('/api/sessions/:sessionId/profile', async (req, res) => {
+  const session = getImportSession(req.params.sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
+  }
+
+  const profileId = req.body?.profileId || '';
+  const profile = profileId ? getBankProfile(profileId) : null;
+  if (profileId && !profile) {
+    res.status(400).json({ error: `Onbekend bankprofiel '${profileId}'.` });
+    return;
+  }
+
+  changeSessionProfile(session, profile);
+  try {
+    res.json(await sessionPreviewPayload(session));
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
+
+app.post('/api/sessions/:sessionId/dialect', async (req, res) => {
+  const session = getImportSession(req.params.sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
+  }
+
+  if (!session.dialect) {
+    res.status(400).json({ error: 'Alleen CSV uploads hebben een instelbaar CSV-dialect.' });
+    return;
+  }
+
+  try {
+    const dialect = resolveCsvDialect(session.text, { ...session.dialect, ...(req.body || {}) });
+    const cells = parseCsv(session.text, dialect);
+    const profile = detectBankProfile(cells[0]);
+    Object.assign(session, {
+      dialect,
+      cells,
+      detectedProfileId: profile?.id || '',
+      ...applySessionProfile(cells, profile)
+    });
+    res.json(await sessionPreviewPayload(session));
+  } catch (error) {
+    res.status(400).json({ error: `Kon CSV niet verwerken: ${error.message}` });
+  }
+});
+
+app.post('/api/sessions/:sessionId/mapped-preview', async (req, res) => {
+  const session = getImportSession(req.params.sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
+  }
+
+  const { mapping, dateFormat } = req.body || {};
+  if (!mapping) {
+    res.status(400).json({ error: 'mapping is verplicht.' });
+    return;
+  }
+
+  if (dateFormat && dateFormat !== 'auto' && !DATE_FORMATS.includes(dateFormat)) {
+    res.status(400).json({ error: `Onbekend datumformaat '${dateFormat}'.` });
+    return;
+  }
+
+  let options;
+  try {
+    options = await resolveNormalizeOptions(session, req.body);
+  } catch (error) {
+    sendPayeeRuleError(res, error);
+    return;
+  }
+  const rowNumbers = new Map(session.records.map((record, index) => [record, index + 1]));
+  const limit = Math.min(Number(req.body?.limit) || 10, PREVIEW_ROW_LIMIT);
+
+  res.json({
+    dateFormat: options.dateFormat,
+    rows: normalizeGroup('all', session.records.slice(0, limit), options, rowNumbers).map((entry) => ({
+      row: entry.row,
+      ...entry.transaction,
+      category: entry.category,
+      skipped: entry.skipped,
+      appliedRules: entry.appliedRules,
+      errors: entry.errors,
+      warnings: entry.warnings
+    }))
+  });
+});
+
+const REVIEW_FILTERS = {
+  validity: {
+    valid: (row) => !row.errors.length,
+    invalid: (row) => row.errors.length > 0,
+    warning: (row) => row.warnings.length > 0
+  },
+  duplicate: {
+    new: (row) => !row.duplicate,
+    exact: (row) => row.duplicate === 'exact',
+    probable: (row) => row.duplicate === 'probable',
+    flagged: (row) => Boolean(row.duplicate)
+  },
+  excluded: {
+    included: (row) => !row.excluded,
+    excluded: (row) => row.excluded,
+    skipped: (row) => row.skipped,
+    edited: (row) => row.edited,
+    ruled: (row) => row.appliedRules.length > 0
+  }
+};
+
+app.post('/api/sessions/:sessionId/review', async (req, res) => {
+  const session = getImportSession(req.params.sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
+  }
+
+  const { mapping, groupByColumn, filters = {} } = req.body || {};
+  if (!mapping) {
+    res.status(400).json({ error: 'mapping is verplicht.' });
+    return;
+  }
+
+  let options;
+  try {
+    options = await resolveNormalizeOptions(session, req.body);
+  } catch (error) {
+    sendPayeeRuleError(res, error);
+    return;
+  }
+  const rowNumbers = new Map(session.records.map((record, index) => [record, index + 1]));
+  const allRows = [];
+
+  for (const [group, groupRowsData] of Object.entries(groupRows(session.records, groupByColumn))) {
+    for (const entry of normalizeGroup(group, groupRowsData, options, rowNumbers)) {
+      allRows.push({
+        row: entry.row,
+        group,
+        ...entry.transaction,
+        category: entry.category,
+        source: entry.values,
+        appliedRules: entry.appliedRules,
+        skipped: entry.skipped,
+        errors: entry.errors,
+        warnings: entry.warnings,
+        edited: entry.edited,
+        excluded: entry.skipped || session.excludedRows.has(entry.row),
+        duplicate: session.duplicateStatus.get(entry.row) || null
+      });
+    }
+  }
+
+  const filtered = allRows
+    .filter((row) => !filters.group || row.group === filters.group)
+    .filter((row) => REVIEW_FILTERS.validity[filters.validity]?.(row) ?? true)
+    .filter((row) => REVIEW_FILTERS.duplicate[filters.duplicate]?.(row) ?? true)
+    .filter((row) => REVIEW_FILTERS.excluded[filters.excluded]?.(row) ?? true)
+    .sort((a, b) => a.row - b.row);
+
+  const pageSize = Math.min(Math.max(Number(req.body?.pageSize) || 50, 1), 500);
+  const pageCount = Math.max(Math.ceil(filtered.length / pageSize), 1);
+  const page = Math.min(Math.max(Number(req.body?.page) || 1, 1), pageCount);
+
+  res.json({
+    dateFormat: options.dateFormat,
+    page,
+    pageSize,
+    pageCount,
+    total: filtered.length,
+    totalRows: allRows.length,
+    excludedCount: allRows.filter((row) => row.excluded).length,
+    skippedCount: allRows.filter((row) => row.skipped).length,
+    editedCount: session.rowEdits.size,
+    rows: filtered.slice((page - 1) * pageSize, page * pageSize)
+  });
+});
+
+app.patch('/api/sessions/:sessionId/rows', (req, res) => {
+  const session = getImportSession(req.params.sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
+  }
+
+  const updates = Array.isArray(req.body?.rows) ? req.body.rows : [];
+  const editableFields = ['date', 'amount', 'payee', 'notes'];
+
+  for (const update of updates) {
+    const row = Number(update?.row);
+    if (!Number.isInteger(row) || row < 1 || row > session.records.length) {
+      res.status(400).json({ error: `Ongeldig rijnummer '${update?.row}'.` });
+      return;
+    }
+
+    if (typeof update.excluded === 'boolean') {
+      if (update.excluded) {
+        session.excludedRows.add(row);
       } else {
-        mappedRow[targetField] = normalizeCellValue(row[rule.column]);
+        session.excludedRows.delete(row);
       }
     }
 
-    mapped.push(mappedRow);
+    if (update.edits === null) {
+      session.rowEdits.delete(row);
+    } else if (update.edits && typeof update.edits === 'object') {
+      const edits = { ...(session.rowEdits.get(row) || {}) };
+      for (const field of editableFields) {
+        if (update.edits[field] !== undefined) {
+          edits[field] = String(update.edits[field] ?? '').trim();
+        }
+      }
+      session.rowEdits.set(row, edits);
+    }
   }
 
-  return mapped;
-}
+  res.json({
+    excludedRows: [...session.excludedRows].sort((a, b) => a - b),
+    editedRows: [...session.rowEdits.keys()].sort((a, b) => a - b)
+  });
+});
 
-function groupRows(rows, groupByColumn) {
-  if (!groupByColumn) {
-    return { all: rows };
+app.post('/api/sessions/:sessionId/opening-balance', async (req, res) => {
+  const session = getImportSession(req.params.sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
   }
 
-  return rows.reduce((acc, row) => {
-    const groupKey = normalizeCellValue(row[groupByColumn]) || '(leeg)';
-    if (!acc[groupKey]) {
-      acc[groupKey] = [];
-    }
-    acc[groupKey].push(row);
-    return acc;
-  }, {});
-}
-
-function extractAccountList(payload) {
-  if (Array.isArray(payload)) {
-    return payload;
+  const { mapping, groupByColumn, group, balanceColumn, balanceTiming = 'after' } = req.body || {};
+  if (!mapping || !balanceColumn) {
+    res.status(400).json({ error: 'mapping en balanceColumn zijn verplicht.' });
+    return;
   }
 
-  if (Array.isArray(payload?.accounts)) {
-    return payload.accounts;
+  if (!session.headers.includes(balanceColumn)) {
+    res.status(400).json({ error: `Kolom '${balanceColumn}' bestaat niet in dit bestand.` });
+    return;
   }
 
-  if (Array.isArray(payload?.data?.accounts)) {
-    return payload.data.accounts;
+  if (!BALANCE_TIMINGS.includes(balanceTiming)) {
+    res.status(400).json({ error: `Onbekende saldo-instelling '${balanceTiming}'.` });
+    return;
   }
 
-  return [];
-}
+  let options;
+  try {
+    options = await resolveNormalizeOptions(session, req.body);
+  } catch (error) {
+    sendPayeeRuleError(res, error);
+    return;
+  }
 
-function extractBudgetList(payload) {
-  if (Array.isArray(payload)) {
-    return payload;
+  const records = groupRows(session.records, groupByColumn)[group || 'all'];
+  if (!records) {
+    res.status(404).json({ error: `Groep '${group}' niet gevonden.` });
+    return;
   }
 
-  if (Array.isArray(payload?.budgets)) {
-    return payload.budgets;
+  const rowNumbers = new Map(session.records.map((record, index) => [record, index + 1]));
+  const balanceFormat = { ...options.amountFormat, sign: 'signed' };
+  const items = normalizeGroup(group || 'all', records, options, rowNumbers).map((entry, index) => ({
+    row: entry.row,
+    date: entry.errors.length ? null : entry.transaction.date,
+    amount: entry.errors.length ? null : entry.transaction.amount,
+    balance: parseAmountValue(records[index][balanceColumn], balanceFormat).cents ?? null
+  }));
+
+  const opening = openingBalance(items, balanceTiming);
+  if (!opening) {
+    res.status(422).json({
+      error: `Geen bruikbaar saldo gevonden in kolom '${balanceColumn}'.`,
+      hint: 'Controleer de saldokolom en het bedragformaat bij stap 2.'
+    });
+    return;
   }
 
-  if (Array.isArray(payload?.data?.budgets)) {
-    return payload.data.budgets;
+  res.json(opening);
+});
+
+app.get('/api/sessions/:sessionId/groups', (req, res) => {
+  const session = getImportSession(req.params.sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
   }
 
-  if (Array.isArray(payload?.data)) {
-    return payload.data;
+  const grouped = groupRows(session.records, req.query.groupByColumn || '');
+  res.json({
+    groups: Object.entries(grouped).map(([group, groupRowsData]) => ({
+      group,
+      rowCount: groupRowsData.length
+    }))
+  });
+});
+
+function sendTemplateError(res, error) {
+  if (error instanceof ValidationError) {
+    res.status(400).json({ error: error.message });
+    return;
   }
 
-  return [];
+  res.status(500).json({
+    error: 'Templates konden niet worden opgeslagen of gelezen.',
+    details: error.message,
+    hint: 'Controleer of DATA_DIR bestaat en schrijfbaar is.'
+  });
 }
 
-function shapeAccount(account) {
-  return {
-    id: String(account.id ?? account.uuid ?? account.accountId ?? ''),
-    name: String(account.name ?? account.accountName ?? 'Onbekende rekening'),
-    raw: account
-  };
-}
+app.get('/api/templates', async (_req, res) => {
+  try {
+    res.json({ templates: await listTemplates() });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
 
-function shapeBudget(budget) {
-  return {
-    id: String(budget.id ?? budget.uuid ?? budget.budgetId ?? ''),
-    name: String(budget.name ?? budget.budgetName ?? 'Onbekend budget'),
-    raw: budget
-  };
-}
+app.get('/api/templates/:templateId', async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.templateId);
+    if (!template) {
+      res.status(404).json({ error: 'Template niet gevonden.' });
+      return;
+    }
+    res.json({ template });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
 
-async function readActualErrorDetail(response) {
-  const contentType = response.headers.get('content-type') || '';
+app.post('/api/templates', async (req, res) => {
+  try {
+    res.status(201).json({ template: await createTemplate(req.body) });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
 
+app.put('/api/templates/:templateId', async (req, res) => {
   try {
-    if (contentType.includes('application/json')) {
-      const payload = await response.json();
-      if (typeof payload?.error === 'string' && payload.error) {
-        return payload.error;
-      }
-      if (typeof payload?.message === 'string' && payload.message) {
-        return payload.message;
-      }
-      return JSON.stringify(payload).slice(0, 500);
+    const template = await updateTemplate(req.params.templateId, req.body);
+    if (!template) {
+      res.status(404).json({ error: 'Template niet gevonden.' });
+      return;
     }
+    res.json({ template });
+  } catch (error) {
+    sendTemplateError(res, error);
+  }
+});
 
-    const text = await response.text();
-    return text.slice(0, 500);
-  } catch (_error) {
-    return 'Geen foutdetails beschikbaar.';
+app.delete('/api/templates/:templateId', async (req, res) => {
+  try {
+    const deleted = await deleteTemplate(req.params.templateId);
+    if (!deleted) {
+      res.status(404).json({ error: 'Template niet gevonden.' });
+      return;
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendTemplateError(res, error);
   }
+});
+
+function sendPayeeRuleError(res, error) {
+  if (error instanceof ValidationError) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  res.status(500).json({
+    error: 'Payee-regels konden niet worden opgeslagen of gelezen.',
+    details: error.message,
+    hint: 'Controleer of DATA_DIR bestaat en schrijfbaar is.'
+  });
 }
 
-app.get('/api/health', (_req, res) => {
-  res.json({ ok: true });
+app.get('/api/payee-rules', async (_req, res) => {
+  try {
+    res.json({ rules: await listPayeeRules() });
+  } catch (error) {
+    sendPayeeRuleError(res, error);
+  }
+});
+
+app.post('/api/payee-rules', async (req, res) => {
+  try {
+    res.status(201).json({ rule: await createPayeeRule(req.body) });
+  } catch (error) {
+    sendPayeeRuleError(res, error);
+  }
 });
 
-app.post('/api/csv/preview', upload.single('csv'), (req, res) => {
-  if (!req.file) {
-    res.status(400).json({ error: 'Geen CSV bestand geüpload (field: csv).' });
+app.put('/api/payee-rules/order', async (req, res) => {
+  if (!Array.isArray(req.body?.ids)) {
+    res.status(400).json({ error: 'ids moet een lijst met regel-IDs zijn.' });
     return;
   }
 
   try {
-    const csvText = req.file.buffer.toString('utf8');
-    const delimiter = detectDelimiter(csvText);
-    const records = parse(csvText, {
-      columns: true,
-      skip_empty_lines: true,
-      delimiter,
-      relax_column_count: true,
-      bom: true,
-      trim: true
-    });
+    res.json({ rules: await reorderPayeeRules(req.body.ids) });
+  } catch (error) {
+    sendPayeeRuleError(res, error);
+  }
+});
 
-    const headers = records.length ? Object.keys(records[0]) : [];
+app.put('/api/payee-rules/:ruleId', async (req, res) => {
+  try {
+    const rule = await updatePayeeRule(req.params.ruleId, req.body);
+    if (!rule) {
+      res.status(404).json({ error: 'Regel niet gevonden.' });
+      return;
+    }
+    res.json({ rule });
+  } catch (error) {
+    sendPayeeRuleError(res, error);
+  }
+});
 
-    res.json({
-      fileName: req.file.originalname,
-      delimiter,
-      headers,
-      rowCount: records.length,
-      rows: records.slice(0, 300)
-    });
+app.delete('/api/payee-rules/:ruleId', async (req, res) => {
+  try {
+    const deleted = await deletePayeeRule(req.params.ruleId);
+    if (!deleted) {
+      res.status(404).json({ error: 'Regel niet gevonden.' });
+      return;
+    }
+    res.status(204).end();
   } catch (error) {
-    res.status(400).json({ error: `Kon CSV niet verwerken: ${error.message}` });
+    sendPayeeRuleError(res, error);
+  }
+});
+
+function sendConnectionProfileError(res, error) {
+  if (error instanceof ValidationError) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  if (error instanceof ConfigurationError) {
+    res.status(500).json({ error: error.message, hint: 'Stel ACTUAL_PROFILES_KEY in en herstart de server.' });
+    return;
+  }
+
+  res.status(500).json({
+    error: 'Verbindingsprofielen konden niet worden opgeslagen of gelezen.',
+    details: error.message,
+    hint: 'Controleer of DATA_DIR bestaat en schrijfbaar is.'
+  });
+}
+
+app.get('/api/connection-profiles', async (_req, res) => {
+  try {
+    res.json({ enabled: connectionProfilesEnabled(), profiles: await listConnectionProfiles() });
+  } catch (error) {
+    sendConnectionProfileError(res, error);
+  }
+});
+
+app.post('/api/connection-profiles', async (req, res) => {
+  try {
+    res.status(201).json({ profile: await createConnectionProfile(req.body) });
+  } catch (error) {
+    sendConnectionProfileError(res, error);
+  }
+});
+
+app.put('/api/connection-profiles/:profileId', async (req, res) => {
+  try {
+    const profile = await updateConnectionProfile(req.params.profileId, req.body);
+    if (!profile) {
+      res.status(404).json({ error: 'Verbindingsprofiel niet gevonden.' });
+      return;
+    }
+    res.json({ profile });
+  } catch (error) {
+    sendConnectionProfileError(res, error);
+  }
+});
+
+app.delete('/api/connection-profiles/:profileId', async (req, res) => {
+  try {
+    if (!(await deleteConnectionProfile(req.params.profileId))) {
+      res.status(404).json({ error: 'Verbindingsprofiel niet gevonden.' });
+      return;
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendConnectionProfileError(res, error);
   }
 });
 
+const MISSING_SETTING_ERRORS = {
+  serverUrl: {
+    error: 'ACTUAL_SERVER_URL ontbreekt.',
+    hint: 'Vul de server URL in, bijvoorbeeld https://actual.example.com.'
+  },
+  password: {
+    error: 'ACTUAL_PASSWORD ontbreekt.',
+    hint: 'Vul het wachtwoord van je Actual server in.'
+  },
+  budgetId: {
+    error: 'ACTUAL_BUDGET_ID ontbreekt.',
+    hint: 'Haal eerst budget IDs op en kies een budget ID.'
+  }
+};
+
 app.post('/api/actual/accounts', async (req, res) => {
-  const serverUrl = (req.body?.serverUrl || process.env.ACTUAL_SERVER_URL || '').trim();
-  const password = req.body?.password || process.env.ACTUAL_PASSWORD || '';
-  const budgetId = req.body?.budgetId || process.env.ACTUAL_BUDGET_ID || '';
-
-  if (process.env.MOCK_ACTUAL === 'true') {
-    res.json({
-      accounts: [
-        { id: 'acc-checking', name: 'Rabo Betaalrekening' },
-        { id: 'acc-savings', name: 'Rabo Spaarrekening' }
-      ]
-    });
+  const connector = await connectorForRequest(res, req.body);
+  if (!connector) {
     return;
   }
 
-  if (!serverUrl) {
-    res.status(400).json({
-      error: 'ACTUAL_SERVER_URL ontbreekt.',
-      hint: 'Vul de server URL in, bijvoorbeeld https://actual.example.com.'
-    });
+  const missing = missingConnectionSetting(connector);
+  if (missing) {
+    res.status(400).json(MISSING_SETTING_ERRORS[missing]);
     return;
   }
 
-  if (!password) {
-    res.status(400).json({
-      error: 'ACTUAL_PASSWORD ontbreekt.',
-      hint: 'Vul het wachtwoord van je Actual server in.'
+  const groupKeys = Array.isArray(req.body?.groups) ? req.body.groups.map(String) : [];
+
+  let accounts;
+  try {
+    accounts = await connector.listAccounts();
+  } catch (error) {
+    res.status(502).json({
+      error: 'Kon rekeningen niet ophalen bij Actual API.',
+      details: error.message,
+      hint: 'Controleer server URL, wachtwoord en budget ID. Test eerst budget IDs ophalen.'
     });
     return;
   }
 
-  if (!budgetId) {
+  let links = {};
+  try {
+    links = await getAccountLinks(connector.config.budgetId);
+  } catch (error) {
+    console.error(`Opgeslagen accountkoppelingen konden niet worden gelezen: ${error.message}`);
+  }
+  res.json({ accounts, suggestions: suggestAccounts(groupKeys, accounts, links) });
+});
+
+/**
+ * Actual's createAccount books the initial balance today, after every row of
+ * the file it should precede. The account is created empty and the starting
+ * balance is imported on its own date, in the category Actual would use.
+ */
+async function createAccountWithStartingBalance(connector, account, amount, date) {
+  const categories = amount && !account.offBudget ? await connector.listCategories() : [];
+  const category = categories.find((item) => item.isIncome && /^starting balances?$/i.test(item.name));
+
+  const id = await connector.createAccount(account, 0);
+  if (!amount) {
+    return { id };
+  }
+
+  try {
+    await connector.importTransactions(id, [
+      {
+        date,
+        amount,
+        payee: 'Starting Balance',
+        imported_id: `starting-balance:${id}`,
+        ...(category ? { category: category.id } : {})
+      }
+    ]);
+    return { id };
+  } catch (error) {
+    return { id, balanceError: error.message };
+  }
+}
+
+app.post('/api/actual/create-account', async (req, res) => {
+  const name = String(req.body?.name ?? '').trim();
+  const offBudget = Boolean(req.body?.offBudget);
+
+  if (!name) {
+    res.status(400).json({ error: 'Accountnaam is verplicht.' });
+    return;
+  }
+
+  const balanceText = String(req.body?.initialBalance ?? '').trim();
+  const initialBalance = balanceText ? parseEditedAmount(balanceText) : { amount: 0 };
+  if (initialBalance.error) {
+    res.status(400).json({ error: `Beginsaldo '${balanceText}' is ongeldig.` });
+    return;
+  }
+
+  const dateText = String(req.body?.initialBalanceDate ?? '').trim();
+  const initialBalanceDate = dateText ? parseDateValue(dateText, 'YYYY-MM-DD') : todayIsoDate();
+  if (!initialBalanceDate) {
+    res.status(400).json({ error: `Datum van het beginsaldo '${dateText}' is ongeldig.` });
+    return;
+  }
+
+  const connector = await connectorForRequest(res, req.body);
+  if (!connector) {
+    return;
+  }
+
+  if (missingConnectionSetting(connector)) {
     res.status(400).json({
-      error: 'ACTUAL_BUDGET_ID ontbreekt.',
+      error: 'Server URL, wachtwoord en budget ID zijn nodig om een account aan te maken.',
       hint: 'Haal eerst budget IDs op en kies een budget ID.'
     });
     return;
   }
 
   try {
-    const response = await fetch(`${serverUrl.replace(/\/$/, '')}/api/accounts`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        password,
-        budgetId
-      })
-    });
-
-    if (!response.ok) {
-      const detail = await readActualErrorDetail(response);
-      throw new Error(`Endpoint /api/accounts gaf status ${response.status}. ${detail}`);
+    const { id, balanceError } = await createAccountWithStartingBalance(
+      connector,
+      { name, offBudget },
+      initialBalance.amount,
+      initialBalanceDate
+    );
+    const account = shapeAccount({ id, name, offbudget: offBudget });
+    if (balanceError) {
+      res.status(502).json({
+        account,
+        error: `Account '${name}' is aangemaakt, maar het beginsaldo kon niet worden geboekt.`,
+        details: balanceError,
+        hint: 'Voeg het beginsaldo handmatig toe in Actual.'
+      });
+      return;
     }
 
-    const payload = await response.json();
-    const accounts = extractAccountList(payload).map(shapeAccount).filter((account) => account.id);
-
-    res.json({ accounts });
+    res.status(201).json({ account, initialBalance: initialBalance.amount, initialBalanceDate });
   } catch (error) {
     res.status(502).json({
-      error: 'Kon rekeningen niet ophalen bij Actual API.',
+      error: 'Kon account niet aanmaken bij Actual API.',
       details: error.message,
-      hint: 'Controleer server URL, wachtwoord en budget ID. Test eerst budget IDs ophalen.'
+      hint: 'Controleer server URL, wachtwoord en budget ID.'
     });
   }
 });
 
-app.post('/api/actual/budgets', async (req, res) => {
-  const serverUrl = (req.body?.serverUrl || process.env.ACTUAL_SERVER_URL || '').trim();
-  const password = req.body?.password || process.env.ACTUAL_PASSWORD || '';
-
-  if (process.env.MOCK_ACTUAL === 'true') {
-    res.json({
-      budgets: [
-        { id: 'budget-main', name: 'Main Budget' },
-        { id: 'budget-personal', name: 'Personal Budget' }
-      ]
-    });
+app.post('/api/actual/categories', async (req, res) => {
+  const connector = await connectorForRequest(res, req.body);
+  if (!connector) {
     return;
   }
 
-  if (!serverUrl) {
+  if (missingConnectionSetting(connector)) {
     res.status(400).json({
-      error: 'ACTUAL_SERVER_URL ontbreekt.',
-      hint: 'Vul de server URL in, bijvoorbeeld https://actual.example.com.'
+      error: 'Server URL, wachtwoord en budget ID zijn nodig om categorieën op te halen.',
+      hint: 'Haal eerst budget IDs op en kies een budget ID.'
     });
     return;
   }
 
-  if (!password) {
-    res.status(400).json({
-      error: 'ACTUAL_PASSWORD ontbreekt.',
-      hint: 'Vul het wachtwoord van je Actual server in.'
+  try {
+    const [categories, mappings] = await Promise.all([
+      connector.listCategories(),
+      getCategoryMappings(connector.config.budgetId)
+    ]);
+    res.json({ categories, mappings });
+  } catch (error) {
+    res.status(502).json({
+      error: 'Kon categorieën niet ophalen bij Actual API.',
+      details: error.message,
+      hint: 'Controleer server URL, wachtwoord en budget ID.'
     });
+  }
+});
+
+app.put('/api/category-mappings', async (req, res) => {
+  const { budgetId, mappings } = req.body || {};
+  if (!budgetId || !mappings || typeof mappings !== 'object') {
+    res.status(400).json({ error: 'budgetId en mappings zijn verplicht.' });
     return;
   }
 
   try {
-    const response = await fetch(`${serverUrl.replace(/\/$/, '')}/api/budgets`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({ password })
+    res.json({ mappings: await saveCategoryMappings(budgetId, mappings) });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Categoriekoppelingen konden niet worden opgeslagen.',
+      details: error.message,
+      hint: 'Controleer of DATA_DIR bestaat en schrijfbaar is.'
     });
+  }
+});
 
-    if (!response.ok) {
-      const detail = await readActualErrorDetail(response);
-      throw new Error(`Endpoint /api/budgets gaf status ${response.status}. ${detail}`);
-    }
+app.post('/api/actual/budgets', async (req, res) => {
+  const connector = await connectorForRequest(res, req.body);
+  if (!connector) {
+    return;
+  }
 
-    const payload = await response.json();
-    const budgets = extractBudgetList(payload).map(shapeBudget).filter((budget) => budget.id);
+  const missing = missingConnectionSetting(connector, { budget: false });
+  if (missing) {
+    res.status(400).json(MISSING_SETTING_ERRORS[missing]);
+    return;
+  }
 
-    res.json({ budgets });
+  try {
+    res.json({ budgets: await connector.listBudgets() });
   } catch (error) {
     res.status(502).json({
       error: 'Kon budget IDs niet ophalen bij Actual API.',
@@ -333,111 +1040,203 @@ app.post('/api/actual/budgets', async (req, res) => {
 });
 
 app.post('/api/import', async (req, res) => {
-  const {
-    rows,
-    mapping,
-    groupByColumn,
-    accountMapping,
-    dryRun = true,
-    actualConfig
-  } = req.body || {};
+  const { sessionId, mapping, actualConfig } = req.body || {};
 
-  if (!Array.isArray(rows) || !mapping) {
-    res.status(400).json({ error: 'rows en mapping zijn verplicht.' });
+  if (!sessionId || !mapping) {
+    res.status(400).json({ error: 'sessionId en mapping zijn verplicht.' });
     return;
   }
 
-  const grouped = groupRows(rows, groupByColumn);
-  const result = [];
-
-  for (const [group, groupRowsData] of Object.entries(grouped)) {
-    const accountId = accountMapping?.[group] || null;
-    const mappedRows = mapRows(groupRowsData, mapping);
-
-    const normalized = mappedRows.map((row) => ({
-      date: row.date,
-      payee: row.payee,
-      notes: row.notes,
-      amount: parseAmount(row.amount)
-    }));
-
-    const invalidCount = normalized.filter((row) => row.amount === null || !row.date).length;
+  const session = getImportSession(sessionId);
+  if (!session) {
+    sendSessionNotFound(res);
+    return;
+  }
 
-    result.push({
-      group,
-      accountId,
-      transactionCount: normalized.length,
-      invalidCount,
-      preview: normalized.slice(0, 5)
-    });
+  const connector = await connectorForRequest(res, actualConfig);
+  if (!connector) {
+    return;
+  }
 
-    if (dryRun || process.env.MOCK_ACTUAL === 'true') {
-      continue;
+  try {
+    res.json(await runImport(session, { ...req.body, connectionProfileId: actualConfig?.profileId }, connector));
+  } catch (error) {
+    if (error instanceof ImportError) {
+      res.status(error.status).json(error.body);
+      return;
     }
+    res.status(500).json({ error: `Import mislukt: ${error.message}` });
+  }
+});
 
-    const serverUrl = (actualConfig?.serverUrl || process.env.ACTUAL_SERVER_URL || '').trim();
-    const password = actualConfig?.password || process.env.ACTUAL_PASSWORD || '';
-    const budgetId = actualConfig?.budgetId || process.env.ACTUAL_BUDGET_ID || '';
 
-    if (!serverUrl) {
-      res.status(400).json({
-        error: 'ACTUAL_SERVER_URL ontbreekt voor import.',
-        hint: 'Vul de server URL in bij stap 3.'
-      });
-      return;
-    }
+app.get('/api/imports', async (_req, res) => {
+  try {
+    res.json({ imports: await listImportBatches() });
+  } catch (error) {
+    res.status(500).json({ error: 'Importgeschiedenis kon niet worden gelezen.', details: error.message });
+  }
+});
 
-    if (!password) {
-      res.status(400).json({
-        error: 'ACTUAL_PASSWORD ontbreekt voor import.',
-        hint: 'Vul het wachtwoord in bij stap 3.'
-      });
+app.get('/api/imports/:importId', async (req, res) => {
+  try {
+    const batch = await getImportBatch(req.params.importId);
+    if (!batch) {
+      res.status(404).json({ error: 'Import niet gevonden.' });
       return;
     }
+    res.json({ import: batch });
+  } catch (error) {
+    res.status(500).json({ error: 'Importgeschiedenis kon niet worden gelezen.', details: error.message });
+  }
+});
 
-    if (!budgetId) {
-      res.status(400).json({
-        error: 'ACTUAL_BUDGET_ID ontbreekt voor import.',
-        hint: 'Kies eerst een budget ID via "Haal budget IDs op".'
-      });
+app.get('/api/imports/:importId/report', async (req, res) => {
+  try {
+    const batch = await getImportBatch(req.params.importId);
+    if (!batch) {
+      res.status(404).json({ error: 'Import niet gevonden.' });
       return;
     }
 
-    if (!accountId) {
-      res.status(400).json({ error: `Geen account gekoppeld voor groep '${group}'.` });
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+    const fileName = `import-${batch.createdAt.slice(0, 10)}-${batch.id.slice(0, 8)}.${format}`;
+    res.setHeader('content-disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'json') {
+      res.type('application/json').send(JSON.stringify(batch, null, 2));
       return;
     }
 
-    const response = await fetch(`${serverUrl.replace(/\/$/, '')}/api/import-transactions`, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        password,
-        budgetId,
-        accountId,
-        transactions: normalized.filter((row) => row.amount !== null && row.date)
-      })
+    res.type('text/csv').send(buildImportReportCsv(batch));
+  } catch (error) {
+    res.status(500).json({ error: 'Importrapport kon niet worden gemaakt.', details: error.message });
+  }
+});
+
+app.post('/api/imports/:importId/rollback', async (req, res) => {
+  const { dryRun = true, actualConfig } = req.body || {};
+
+  let batch;
+  try {
+    batch = await getImportBatch(req.params.importId);
+  } catch (error) {
+    res.status(500).json({ error: 'Importgeschiedenis kon niet worden gelezen.', details: error.message });
+    return;
+  }
+
+  if (!batch) {
+    res.status(404).json({ error: 'Import niet gevonden.' });
+    return;
+  }
+
+  if (batch.rollback?.complete) {
+    res.status(409).json({
+      error: 'Deze import is al teruggedraaid.',
+      details: `Teruggedraaid op ${batch.rollback.rolledBackAt}.`
     });
+    return;
+  }
 
-    if (!response.ok) {
-      const detail = await readActualErrorDetail(response);
-      res.status(502).json({
-        error: `Import naar Actual mislukt voor groep '${group}'.`,
-        details: `Endpoint /api/import-transactions gaf status ${response.status}. ${detail}`,
-        hint: 'Controleer of account mapping klopt en of de transactiedata geldig is.'
+  // Roll back through the connector the batch was imported with. A profile brings its own server URL.
+  const profileId = actualConfig?.profileId || batch.connectionProfileId;
+  const connector = await connectorForRequest(
+    res,
+    {
+      profileId,
+      serverUrl: actualConfig?.serverUrl || (profileId ? '' : batch.serverUrl),
+      password: actualConfig?.password,
+      budgetId: batch.budgetId || actualConfig?.budgetId
+    },
+    batch.connector ?? (batch.mock ? 'mock' : undefined)
+  );
+  if (!connector) {
+    return;
+  }
+
+  if (missingConnectionSetting(connector)) {
+    res.status(400).json({
+      error: 'Server URL, wachtwoord en budget ID zijn nodig om een import terug te draaien.',
+      hint: 'Vul de server URL en het wachtwoord in bij stap 3.'
+    });
+    return;
+  }
+
+  const groups = [];
+
+  try {
+    for (const group of batch.groups) {
+      if (!group.importedCount) {
+        continue;
+      }
+
+      const { found, missing } = await findBatchGroupTransactions(connector, group);
+
+      groups.push({
+        group: group.group,
+        accountId: group.accountId,
+        transactions: found.map((transaction) => ({
+          id: transaction.id ?? null,
+          date: transaction.date,
+          amount: transaction.amount,
+          payee: transaction.payee_name ?? transaction.payee,
+          notes: transaction.notes,
+          imported_id: transaction.imported_id
+        })),
+        missing
       });
-      return;
     }
+  } catch (error) {
+    res.status(502).json({
+      error: 'Kon transacties van deze import niet opzoeken bij Actual.',
+      details: error.message,
+      hint: 'Controleer server URL, wachtwoord en of het account nog bestaat.'
+    });
+    return;
   }
 
-  res.json({
-    dryRun,
-    groups: result,
-    totalTransactions: result.reduce((sum, item) => sum + item.transactionCount, 0),
-    totalInvalid: result.reduce((sum, item) => sum + item.invalidCount, 0)
-  });
+  const totalToDelete = groups.reduce((sum, group) => sum + group.transactions.length, 0);
+  const totalMissing = groups.reduce((sum, group) => sum + group.missing.length, 0);
+
+  if (dryRun) {
+    res.json({ dryRun, importId: batch.id, groups, totalToDelete, totalMissing });
+    return;
+  }
+
+  let deletedCount = 0;
+
+  try {
+    for (const group of groups) {
+      const ids = group.transactions.map((transaction) => transaction.id).filter(Boolean);
+      if (!ids.length) {
+        continue;
+      }
+
+      await connector.deleteTransactions(ids);
+      deletedCount += ids.length;
+    }
+  } catch (error) {
+    await markImportRolledBack(batch.id, { deletedCount, complete: false, error: error.message }).catch(() => {});
+    res.status(502).json({
+      error: 'Terugdraaien van de import is halverwege mislukt.',
+      details: error.message,
+      hint: `${deletedCount} transacties zijn al verwijderd. Controleer de rest handmatig in Actual.`
+    });
+    return;
+  }
+
+  try {
+    await markImportRolledBack(batch.id, { deletedCount, complete: true, error: null });
+  } catch (error) {
+    res.status(500).json({
+      error: 'De transacties zijn verwijderd, maar de importgeschiedenis kon niet worden bijgewerkt.',
+      details: error.message,
+      hint: `${deletedCount} transacties zijn verwijderd uit Actual. Controleer of DATA_DIR schrijfbaar is.`
+    });
+    return;
+  }
+
+  res.json({ dryRun, importId: batch.id, groups, totalToDelete, totalMissing, deletedCount });
 });
 
 const __filename = fileURLToPath(import.meta.url);
@@ -0,0 +1,400 @@
+import { XMLParser } from 'fast-xml-parser';
+
+/**
+ * Columns produced for CAMT.053, MT940 and OFX statements. Amounts and
+ * balances use a decimal point and a minus sign, dates are YYYY-MM-DD, so the
+ * `statement` bank profile maps them like any CSV export.
+ */
+export const STATEMENT_COLUMNS = [
+  'Bronformaat',
+  'Rekening',
+  'Valuta',
+  'Boekdatum',
+  'Valutadatum',
+  'Bedrag',
+  'Naam tegenpartij',
+  'Tegenrekening',
+  'BIC tegenpartij',
+  'Omschrijving',
+  'Transactie ID',
+  'Referentie',
+  'End-to-end ID',
+  'Mandaat ID',
+  'Incassant ID',
+  'Betalingskenmerk',
+  'Transactiecode',
+  'Saldo na transactie',
+  'Afschrift'
+];
+
+export const STATEMENT_FORMATS = {
+  camt053: 'CAMT.053',
+  mt940: 'MT940',
+  ofx: 'OFX/QFX'
+};
+
+const xmlParser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => ['Stmt', 'Ntry', 'TxDtls', 'Bal', 'Ustrd', 'STMTTRN', 'STMTTRNRS', 'CCSTMTTRNRS'].includes(name)
+});
+
+export function detectStatementFormat(text) {
+  const head = String(text || '')
+    .replace(/^﻿/, '')
+    .slice(0, 4096);
+
+  if (/^\s*</.test(head) && /BkToCstmrStmt/.test(head)) {
+    return 'camt053';
+  }
+
+  if (/^\s*OFXHEADER/i.test(head) || /<OFX>/i.test(head)) {
+    return 'ofx';
+  }
+
+  if (/^:20:/m.test(head) && /^:(25|60F|61):/m.test(head)) {
+    return 'mt940';
+  }
+
+  return null;
+}
+
+/** Cents of a decimal amount, or null when the value is empty or no number. */
+function toCents(value) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const number = Number(trimmed.replace(',', '.'));
+  return Number.isFinite(number) ? Math.round(number * 100) : null;
+}
+
+export function formatCents(cents) {
+  return cents === null ? '' : (cents / 100).toFixed(2);
+}
+
+function text(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(text).filter(Boolean).join(' ');
+  }
+  if (typeof value === 'object') {
+    return text(value['#text']);
+  }
+  return String(value).trim();
+}
+
+function toRow(format, values) {
+  return STATEMENT_COLUMNS.map((column) => (column === 'Bronformaat' ? format : values[column] ?? ''));
+}
+
+/**
+ * Fills 'Saldo na transactie' from the opening balance, or backwards from the
+ * closing balance when only that is known. Rows must be oldest first.
+ */
+function addRunningBalance(rows, { opening = null, closing = null }) {
+  let balance = opening;
+  if (balance === null && closing !== null) {
+    balance = rows.reduce((sum, row) => sum - (toCents(row.Bedrag) ?? 0), closing);
+  }
+  if (balance === null) {
+    return rows;
+  }
+
+  return rows.map((row) => {
+    balance += toCents(row.Bedrag) ?? 0;
+    return { ...row, 'Saldo na transactie': formatCents(balance) };
+  });
+}
+
+function camtBalance(balances, codes) {
+  const balance = (balances || []).find((item) => codes.includes(text(item.Tp?.CdOrPrtry?.Cd)));
+  if (!balance) {
+    return null;
+  }
+  const cents = toCents(text(balance.Amt));
+  if (cents === null) {
+    return null;
+  }
+  return text(balance.CdtDbtInd) === 'DBIT' ? -cents : cents;
+}
+
+function camtTransactionCode(entry) {
+  const domain = entry.BkTxCd?.Domn;
+  if (domain) {
+    return [text(domain.Cd), text(domain.Fmly?.Cd), text(domain.Fmly?.SubFmlyCd)].filter(Boolean).join('/');
+  }
+  return text(entry.BkTxCd?.Prtry?.Cd);
+}
+
+function camtEntryRow(statement, entry) {
+  const details = entry.NtryDtls?.TxDtls || [];
+  const [first = {}] = details;
+  const credit = text(entry.CdtDbtInd) === 'CRDT';
+  const parties = first.RltdPties || {};
+  const counterparty = credit ? parties.Dbtr : parties.Cdtr;
+  const counterpartyAccount = credit ? parties.DbtrAcct : parties.CdtrAcct;
+  const counterpartyAgent = credit ? first.RltdAgts?.DbtrAgt : first.RltdAgts?.CdtrAgt;
+  const remittance = details
+    .flatMap((detail) => detail.RmtInf?.Ustrd || [])
+    .map(text)
+    .filter(Boolean);
+  const amount = text(entry.Amt);
+
+  return {
+    Rekening: text(statement.Acct?.Id?.IBAN) || text(statement.Acct?.Id?.Othr?.Id),
+    Valuta: text(statement.Acct?.Ccy),
+    Boekdatum: text(entry.BookgDt?.Dt) || text(entry.BookgDt?.DtTm).slice(0, 10),
+    Valutadatum: text(entry.ValDt?.Dt) || text(entry.ValDt?.DtTm).slice(0, 10),
+    Bedrag: credit ? amount : `-${amount}`,
+    'Naam tegenpartij': text(counterparty?.Nm) || text(counterparty?.Pty?.Nm),
+    'Tegenrekening': text(counterpartyAccount?.Id?.IBAN) || text(counterpartyAccount?.Id?.Othr?.Id),
+    'BIC tegenpartij': text(counterpartyAgent?.FinInstnId?.BIC) || text(counterpartyAgent?.FinInstnId?.BICFI),
+    Omschrijving: remittance.length ? remittance.join(' ') : text(entry.AddtlNtryInf),
+    'Transactie ID': text(entry.AcctSvcrRef) || text(first.Refs?.AcctSvcrRef),
+    Referentie: text(entry.NtryRef),
+    'End-to-end ID': text(first.Refs?.EndToEndId).replace(/^NOTPROVIDED$/, ''),
+    'Mandaat ID': text(first.Refs?.MndtId),
+    'Incassant ID': text(parties.Cdtr?.Id?.PrvtId?.Othr?.Id) || text(parties.Cdtr?.Pty?.Id?.PrvtId?.Othr?.Id),
+    Betalingskenmerk: text(first.RmtInf?.Strd?.CdtrRefInf?.Ref),
+    Transactiecode: camtTransactionCode(entry),
+    Afschrift: text(statement.Id)
+  };
+}
+
+function parseCamt053(content) {
+  const document = xmlParser.parse(content).Document;
+  const statements = document?.BkToCstmrStmt?.Stmt;
+  if (!statements) {
+    throw new Error('Geen CAMT.053 afschrift (BkToCstmrStmt/Stmt) gevonden.');
+  }
+
+  return statements.flatMap((statement) => {
+    // Pending entries are not final yet and are left out.
+    const entries = (statement.Ntry || []).filter((entry) => !/PDNG/.test(text(entry.Sts?.Cd ?? entry.Sts)));
+    return addRunningBalance(
+      entries.map((entry) => camtEntryRow(statement, entry)),
+      {
+        opening: camtBalance(statement.Bal, ['OPBD', 'PRCD']),
+        closing: camtBalance(statement.Bal, ['CLBD'])
+      }
+    );
+  });
+}
+
+function mt940Date(value) {
+  return `20${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+function mt940Balance(value) {
+  const match = /^([CD])(\d{6})([A-Z]{3})([\d,]+)/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const cents = toCents(match[4]);
+  if (cents === null) {
+    return null;
+  }
+  return match[1] === 'D' ? -cents : cents;
+}
+
+/** Splits a structured :86: field (`/EREF/.../NAME/...`) into its tags. */
+function mt940Details(value) {
+  const tagPattern =
+    /\/(EREF|MARF|CSID|NAME|IBAN|BIC|REMI|CNTP|ORDP|BENM|TRTP|ADDR|ISDT|RTRN|PREF|ULTC|ULTD|PURP|SVCL|ID)\//g;
+  const matches = [...value.matchAll(tagPattern)];
+  const tags = {};
+  matches.forEach((match, index) => {
+    const end = index + 1 < matches.length ? matches[index + 1].index : value.length;
+    tags[match[1]] = value.slice(match.index + match[0].length, end).replace(/\/+$/, '').trim();
+  });
+  return matches.length ? tags : null;
+}
+
+function mt940TransactionRow(statement, line, details) {
+  const [first, ...supplementary] = line.split('\n');
+  const match = /^(\d{6})(\d{4})?(R?[CD])[A-Z]?([\d,]+)([A-Z][A-Z0-9]{3})([^/]*)(?:\/\/(.*))?$/.exec(first);
+  if (!match) {
+    throw new Error(`Onleesbare :61: regel '${first}'.`);
+  }
+
+  const [, valueDate, entryDate, mark, amount, code, customerRef, bankRef] = match;
+  const valuta = mt940Date(valueDate);
+  let booking = valuta;
+  if (entryDate) {
+    const month = Number(entryDate.slice(0, 2));
+    const valueMonth = Number(valueDate.slice(2, 4));
+    let year = Number(valuta.slice(0, 4));
+    if (month === 12 && valueMonth === 1) {
+      year -= 1;
+    } else if (month === 1 && valueMonth === 12) {
+      year += 1;
+    }
+    booking = `${year}-${entryDate.slice(0, 2)}-${entryDate.slice(2, 4)}`;
+  }
+
+  const structured = mt940Details(details.replace(/\n/g, ''));
+  const counterparty = (structured?.CNTP || structured?.BENM || structured?.ORDP || '').split('/');
+  const remittance = (structured?.REMI || '').replace(/^USTD\/\//, '');
+  const paymentReference = /^STRD\/CUR\//.test(remittance) ? remittance.replace(/^STRD\/CUR\//, '') : '';
+  // RC/RD are reversals: a reversed credit takes money out again.
+  const sign = mark === 'D' || mark === 'RC' ? -1 : 1;
+  const reference = [customerRef, bankRef]
+    .map((value) => (value || '').trim())
+    .filter((value) => value && value !== 'NONREF')
+    .join(' ');
+
+  return {
+    Rekening: statement.account,
+    Valuta: statement.currency,
+    Boekdatum: booking,
+    Valutadatum: valuta,
+    Bedrag: formatCents(sign * toCents(amount)),
+    'Naam tegenpartij': structured?.NAME || counterparty[2] || '',
+    Tegenrekening: structured?.IBAN || counterparty[0] || supplementary.join(' ').trim(),
+    'BIC tegenpartij': structured?.BIC || counterparty[1] || '',
+    Omschrijving: structured ? (paymentReference ? '' : remittance) : details.replace(/\s+/g, ' ').trim(),
+    Referentie: reference,
+    'End-to-end ID': (structured?.EREF || '').replace(/^NOTPROVIDED$/, ''),
+    'Mandaat ID': structured?.MARF || '',
+    'Incassant ID': structured?.CSID || '',
+    Betalingskenmerk: paymentReference,
+    Transactiecode: code,
+    Afschrift: statement.number
+  };
+}
+
+/**
+ * MT940 has no transaction id that banks keep unique, so 'Transactie ID'
+ * stays empty and the importer falls back to its content hash.
+ */
+function parseMt940(content) {
+  const fields = [];
+  for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.replace(/\s+$/, '');
+    const tag = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2] });
+    } else if (fields.length && line && line !== '-' && !line.startsWith('{') && !line.startsWith('}')) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  }
+
+  const rows = [];
+  let statement = null;
+
+  function closeStatement(closing = null) {
+    if (statement) {
+      rows.push(...addRunningBalance(statement.rows, { opening: statement.opening, closing }));
+    }
+    statement = null;
+  }
+
+  for (let index = 0; index < fields.length; index += 1) {
+    const { tag, value } = fields[index];
+    if (tag === '20') {
+      closeStatement();
+      statement = { account: '', currency: '', number: '', opening: null, rows: [] };
+    } else if (!statement) {
+      continue;
+    } else if (tag === '25') {
+      const account = value.replace(/\s+/g, '');
+      const currency = /[A-Z]{3}$/.exec(account)?.[0] || '';
+      statement.account = /^[A-Z]{2}\d{2}/.test(account) && currency ? account.slice(0, -3) : account;
+      statement.currency = currency;
+    } else if (tag === '28C') {
+      statement.number = value.trim();
+    } else if (tag === '60F' || tag === '60M') {
+      statement.opening = mt940Balance(value);
+      statement.currency = statement.currency || value.slice(7, 10);
+    } else if (tag === '61') {
+      const next = fields[index + 1];
+      const details = next?.tag === '86' ? next.value : '';
+      statement.rows.push(mt940TransactionRow(statement, value, details));
+    } else if (tag === '62F' || tag === '62M') {
+      closeStatement(statement.opening === null ? mt940Balance(value) : null);
+    }
+  }
+  closeStatement();
+
+  if (!rows.length && !fields.some((field) => field.tag === '20')) {
+    throw new Error('Geen MT940 afschrift (:20:) gevonden.');
+  }
+  return rows;
+}
+
+/** OFX 1.x is SGML without closing tags on values; this closes them. */
+function sgmlToXml(body) {
+  return body
+    .replace(/&(?!(amp|lt|gt|quot|apos|#\d+);)/g, '&amp;')
+    .replace(/<([A-Za-z0-9.]+)>([^<]*)(?=<(\/?)([A-Za-z0-9.]+)>|$)/g, (match, tag, value, slash, next) => {
+      const trimmed = value.trim();
+      if (!trimmed || (slash && next === tag)) {
+        return match;
+      }
+      return `<${tag}>${trimmed}</${tag}>`;
+    });
+}
+
+function ofxDate(value) {
+  const digits = text(value).slice(0, 8);
+  return /^\d{8}$/.test(digits) ? `${digits.slice(0, 4)}-${digits.slice(4, 6)}-${digits.slice(6, 8)}` : '';
+}
+
+function parseOfx(content) {
+  const start = content.search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('Geen <OFX> blok gevonden.');
+  }
+
+  const ofx = xmlParser.parse(sgmlToXml(content.slice(start))).OFX || {};
+  const responses = [
+    ...(ofx.BANKMSGSRSV1?.STMTTRNRS || []).map((item) => ({
+      statement: item.STMTRS,
+      account: item.STMTRS?.BANKACCTFROM
+    })),
+    ...(ofx.CREDITCARDMSGSRSV1?.CCSTMTTRNRS || []).map((item) => ({
+      statement: item.CCSTMTRS,
+      account: item.CCSTMTRS?.CCACCTFROM
+    }))
+  ];
+
+  return responses.flatMap(({ statement, account }) => {
+    const rows = (statement?.BANKTRANLIST?.STMTTRN || [])
+      .map((transaction) => ({
+        Rekening: text(account?.ACCTID),
+        Valuta: text(statement.CURDEF),
+        Boekdatum: ofxDate(transaction.DTPOSTED),
+        Valutadatum: ofxDate(transaction.DTUSER),
+        Bedrag: formatCents(toCents(text(transaction.TRNAMT))),
+        'Naam tegenpartij': text(transaction.NAME) || text(transaction.PAYEE?.NAME),
+        Tegenrekening: text(transaction.BANKACCTTO?.ACCTID),
+        Omschrijving: text(transaction.MEMO),
+        'Transactie ID': text(transaction.FITID),
+        Referentie: text(transaction.REFNUM) || text(transaction.CHECKNUM),
+        Transactiecode: text(transaction.TRNTYPE),
+        Afschrift: `${ofxDate(statement.BANKTRANLIST?.DTSTART)}..${ofxDate(statement.BANKTRANLIST?.DTEND)}`
+      }))
+      .sort((a, b) => a.Boekdatum.localeCompare(b.Boekdatum));
+
+    // Without a ledger balance there is nothing to count back from.
+    const closing = toCents(text(statement?.LEDGERBAL?.BALAMT));
+    return closing === null ? rows : addRunningBalance(rows, { closing });
+  });
+}
+
+const PARSERS = { camt053: parseCamt053, mt940: parseMt940, ofx: parseOfx };
+
+/**
+ * Parses a statement into cells with a header row, the same shape csv-parse
+ * returns for CSV uploads.
+ */
+export function parseStatement(content, format) {
+  const rows = PARSERS[format](String(content).replace(/^﻿/, ''));
+  return [STATEMENT_COLUMNS, ...rows.map((row) => toRow(STATEMENT_FORMATS[format], row))];
+}
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+import { createJsonStore } from './jsonStore.js';
+
+const store = createJsonStore('templates.json', { templates: [] });
+
+const TEMPLATE_FIELDS = [
+  'name',
+  'profileId',
+  'headers',
+  'mapping',
+  'amountFormat',
+  'dateFormat',
+  'balanceTiming',
+  'groupByColumn',
+  'accountMapping',
+  'budgetId'
+];
+
+function pickTemplateFields(input) {
+  const template = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (input?.[field] !== undefined) {
+      template[field] = input[field];
+    }
+  }
+  return template;
+}
+
+function validateTemplate(template) {
+  if (!String(template.name || '').trim()) {
+    throw new ValidationError('Templatenaam is verplicht.');
+  }
+
+  if (!template.mapping || typeof template.mapping !== 'object') {
+    throw new ValidationError('Template mist een kolom-mapping.');
+  }
+
+  if (template.headers !== undefined && !Array.isArray(template.headers)) {
+    throw new ValidationError('headers moet een lijst met kolomnamen zijn.');
+  }
+}
+
+function headerSignature(headers) {
+  return [...(headers || [])]
+    .map((header) => String(header).trim().toLowerCase())
+    .sort()
+    .join('\u001f');
+}
+
+export async function listTemplates() {
+  const { templates } = await store.read();
+  return templates;
+}
+
+export async function getTemplate(templateId) {
+  const templates = await listTemplates();
+  return templates.find((template) => template.id === templateId) || null;
+}
+
+export async function createTemplate(input) {
+  const template = {
+    ...pickTemplateFields(input),
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  template.name = String(template.name || '').trim();
+  validateTemplate(template);
+
+  await store.update((data) => {
+    data.templates.push(template);
+  });
+  return template;
+}
+
+export async function updateTemplate(templateId, input) {
+  return store.update((data) => {
+    const index = data.templates.findIndex((template) => template.id === templateId);
+    if (index === -1) {
+      return null;
+    }
+
+    const template = {
+      ...data.templates[index],
+      ...pickTemplateFields(input),
+      updatedAt: new Date().toISOString()
+    };
+    template.name = String(template.name || '').trim();
+    validateTemplate(template);
+
+    data.templates[index] = template;
+    return template;
+  });
+}
+
+export async function deleteTemplate(templateId) {
+  return store.update((data) => {
+    const before = data.templates.length;
+    data.templates = data.templates.filter((template) => template.id !== templateId);
+    return data.templates.length !== before;
+  });
+}
+
+/**
+ * Templates whose saved header row has exactly the same columns as the
+ * uploaded file, most recently updated first.
+ */
+export async function findTemplatesForHeaders(headers) {
+  const signature = headerSignature(headers);
+  const templates = await listTemplates();
+
+  return templates
+    .filter((template) => template.headers?.length && headerSignature(template.headers) === signature)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import { normalizeAmountFormat, parseAmountValue, resolveAmount } from './amounts.js';
+import { guessDateFormat, parseDateValue, todayIsoDate } from './dates.js';
+import { applyPayeeRules, compilePayeeRules, listPayeeRules } from './payeeRules.js';
+
+export function normalizeCellValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  return String(value).trim();
+}
+
+/** Value of one mapping rule (`direct`, `merge` or `none`) for a source row. */
+export function readMappedValue(row, rule) {
+  if (!rule || rule.type === 'none') {
+    return '';
+  }
+
+  if (rule.type === 'merge') {
+    const separator = rule.separator ?? ' ';
+    const values = (rule.columns || []).map((column) => normalizeCellValue(row[column])).filter(Boolean);
+    return values.join(separator);
+  }
+
+  return normalizeCellValue(row[rule.column]);
+}
+
+function mapRows(rows, mapping) {
+  const mapped = [];
+
+  for (const row of rows) {
+    const mappedRow = {};
+
+    for (const [targetField, rule] of Object.entries(mapping || {})) {
+      mappedRow[targetField] = readMappedValue(row, rule);
+    }
+
+    mapped.push(mappedRow);
+  }
+
+  return mapped;
+}
+
+function hashTransactionContent(parts) {
+  return crypto.createHash('sha256').update(parts.join('\u001f')).digest('hex').slice(0, 32);
+}
+
+function buildImportedId(sourceId, group, transaction, occurrences) {
+  if (sourceId) {
+    return sourceId;
+  }
+
+  const content = [group, transaction.date, transaction.amount, transaction.payee, transaction.notes].map(
+    (value) => String(value ?? '')
+  );
+  const contentKey = content.join('\u001f');
+  const occurrence = (occurrences.get(contentKey) || 0) + 1;
+  occurrences.set(contentKey, occurrence);
+
+  return `hash:${hashTransactionContent([...content, String(occurrence)])}`;
+}
+
+function resolveDateFormat(records, mapping, dateFormat) {
+  if (dateFormat && dateFormat !== 'auto') {
+    return dateFormat;
+  }
+
+  const dates = mapRows(records, { date: mapping?.date }).map((row) => row.date);
+  return guessDateFormat(dates);
+}
+
+function normalizeDate(rawDate, dateFormat, today) {
+  if (!rawDate) {
+    return { date: null, error: 'Datum ontbreekt.' };
+  }
+
+  if (!dateFormat) {
+    return { date: null, error: 'Datumformaat kon niet automatisch worden bepaald; kies het formaat bij stap 2.' };
+  }
+
+  const date = parseDateValue(rawDate, dateFormat);
+  if (!date) {
+    return { date: null, error: `Datum '${rawDate}' past niet bij formaat ${dateFormat}.` };
+  }
+
+  if (date > today) {
+    return { date, warning: `Datum ${date} ligt in de toekomst.` };
+  }
+
+  return { date };
+}
+
+const EDIT_AMOUNT_FORMATS = [
+  normalizeAmountFormat({ decimalSeparator: ',', thousandsSeparator: '.' }),
+  normalizeAmountFormat({ decimalSeparator: '.', thousandsSeparator: '' })
+];
+
+export function parseEditedAmount(text) {
+  let result = null;
+  for (const format of EDIT_AMOUNT_FORMATS) {
+    result = resolveAmount({}, text, format);
+    if (!result.error) {
+      return result;
+    }
+  }
+  return { amount: null, error: `Bewerkt bedrag '${text}' is ongeldig.` };
+}
+
+export function normalizeGroup(group, records, options, rowNumbers) {
+  const mappedRows = mapRows(records, options.mapping);
+  const occurrences = new Map();
+
+  return mappedRows.map((row, index) => {
+    const record = records[index];
+    const rowNumber = rowNumbers.get(record);
+    const edit = options.rowEdits?.get(rowNumber) || null;
+    const ruleResult = applyPayeeRules(record, row, options.payeeRules || []);
+
+    let dateResult = normalizeDate(row.date, options.dateFormat, options.today);
+    let amountResult = resolveAmount(record, row.amount, options.amountFormat);
+    const balanceResult = parseAmountValue(row.balance, options.amountFormat);
+    const transaction = {
+      date: dateResult.date,
+      payee: row.payee,
+      notes: row.notes,
+      amount: amountResult.amount
+    };
+    // The id is derived from the file contents, so later rule changes and edits do not break duplicate
+    // detection on re-import.
+    transaction.imported_id = buildImportedId(row.importedId, group, transaction, occurrences);
+    transaction.payee = ruleResult.row.payee;
+    transaction.notes = ruleResult.row.notes;
+
+    if (edit?.date !== undefined) {
+      dateResult = normalizeDate(edit.date, 'YYYY-MM-DD', options.today);
+      transaction.date = dateResult.date;
+    }
+    if (edit?.amount !== undefined) {
+      amountResult = parseEditedAmount(edit.amount);
+      transaction.amount = amountResult.amount;
+    }
+    if (edit?.payee !== undefined) {
+      transaction.payee = edit.payee;
+    }
+    if (edit?.notes !== undefined) {
+      transaction.notes = edit.notes;
+    }
+
+    return {
+      row: rowNumber,
+      transaction,
+      values: row,
+      appliedRules: ruleResult.applied,
+      category: ruleResult.category || row.category || null,
+      counterpartyIban: row.counterpartyIban || null,
+      balance: balanceResult.cents ?? null,
+      skipped: ruleResult.skip,
+      edited: Boolean(edit),
+      errors: [dateResult.error, amountResult.error].filter(Boolean),
+      warnings: [dateResult.warning, balanceResult.error && `Saldo genegeerd: ${balanceResult.error}`].filter(
+        Boolean
+      )
+    };
+  });
+}
+
+export async function resolveNormalizeOptions(session, { mapping, amountFormat, dateFormat }) {
+  return {
+    mapping,
+    amountFormat: normalizeAmountFormat(amountFormat),
+    dateFormat: resolveDateFormat(session.records, mapping, dateFormat),
+    payeeRules: compilePayeeRules(await listPayeeRules()),
+    rowEdits: session.rowEdits,
+    today: todayIsoDate()
+  };
+}
+
+export function groupRows(rows, groupByColumn) {
+  if (!groupByColumn) {
+    return { all: rows };
+  }
+
+  return rows.reduce((acc, row) => {
+    const groupKey = normalizeCellValue(row[groupByColumn]) || '(leeg)';
+    if (!acc[groupKey]) {
+      acc[groupKey] = [];
+    }
+    acc[groupKey].push(row);
+    return acc;
+  }, {});
+}
@@ -0,0 +1,117 @@
+import { normalizeIban } from './iban.js';
+
+export const MAX_TRANSFER_DAY_GAP = 3;
+
+export function dayGap(a, b) {
+  return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / 86400000;
+}
+
+function describeSide(group, entry) {
+  return {
+    group,
+    row: entry.row,
+    date: entry.transaction.date,
+    amount: entry.transaction.amount,
+    payee: entry.transaction.payee
+  };
+}
+
+/**
+ * Finds movements between the mapped accounts of one import. A row is a
+ * transfer candidate when its counterparty IBAN is the grouping key of another
+ * group that has an account; the outgoing half is paired with an incoming row
+ * of the other group for the opposite amount within a few days.
+ *
+ * `groups` is a list of `{ group, accountId, entries }` with valid entries only.
+ */
+export function detectTransfers(groups) {
+  const ownAccounts = new Map(
+    groups
+      .filter((item) => item.accountId && normalizeIban(item.group))
+      .map((item) => [normalizeIban(item.group), item])
+  );
+
+  const outgoing = [];
+  const incoming = [];
+  for (const item of groups) {
+    if (!ownAccounts.has(normalizeIban(item.group))) {
+      continue;
+    }
+
+    for (const entry of item.entries) {
+      const target = ownAccounts.get(normalizeIban(entry.counterpartyIban));
+      if (!target || target === item) {
+        continue;
+      }
+
+      const candidate = { item, target, entry };
+      (entry.transaction.amount < 0 ? outgoing : incoming).push(candidate);
+    }
+  }
+
+  const pairs = [];
+  const transfers = new Map();
+  const counterparts = new Set();
+  const unmatched = [];
+
+  for (const from of outgoing) {
+    let best = null;
+    for (const to of incoming) {
+      if (
+        !counterparts.has(to.entry) &&
+        to.item === from.target &&
+        to.target === from.item &&
+        to.entry.transaction.amount === -from.entry.transaction.amount
+      ) {
+        const gap = dayGap(from.entry.transaction.date, to.entry.transaction.date);
+        if (gap <= MAX_TRANSFER_DAY_GAP && (!best || gap < best.gap)) {
+          best = { to, gap };
+        }
+      }
+    }
+
+    if (!best) {
+      unmatched.push({ ...describeSide(from.item.group, from.entry), counterpartyGroup: from.target.group });
+      continue;
+    }
+
+    counterparts.add(best.to.entry);
+    transfers.set(from.entry, from.target.accountId);
+    pairs.push({
+      from: describeSide(from.item.group, from.entry),
+      to: describeSide(best.to.item.group, best.to.entry)
+    });
+  }
+
+  for (const to of incoming) {
+    if (!counterparts.has(to.entry)) {
+      unmatched.push({ ...describeSide(to.item.group, to.entry), counterpartyGroup: to.target.group });
+    }
+  }
+
+  return { pairs, unmatched, transfers, counterparts };
+}
+
+/**
+ * Entries whose counterparty IBAN is another own account: a mapped group of
+ * this import or one of `accountKeys` (mapped or linked earlier). Actual may
+ * already hold such a row as the other half of a transfer, also when the
+ * other side is not part of this upload.
+ */
+export function findTransferCandidates(groups, accountKeys = []) {
+  const ownAccounts = new Set(
+    [...groups.filter((item) => item.accountId).map((item) => item.group), ...accountKeys].map(normalizeIban)
+  );
+  ownAccounts.delete('');
+
+  const candidates = new Set();
+  for (const item of groups) {
+    for (const entry of item.entries) {
+      const counterparty = normalizeIban(entry.counterpartyIban);
+      if (counterparty !== normalizeIban(item.group) && ownAccounts.has(counterparty)) {
+        candidates.add(entry);
+      }
+    }
+  }
+  return candidates;
+}
@@ -0,0 +1,284 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { startFakeActualServer } from '../dev/fakeActualServer.js';
+
+const SERVER_PATH = fileURLToPath(new URL('../src/server.js', import.meta.url));
+
+const RABOBANK_CSV = [
+  '"IBAN/BBAN";"Munt";"BIC";"Volgnr";"Datum";"Rentedatum";"Bedrag";"Saldo na trn";"Tegenrekening IBAN/BBAN";' +
+    '"Naam tegenpartij";"Omschrijving-1"',
+  '"NL11RABO0123456789";"EUR";"RABONL2U";"000000000000000001";"2024-03-01";"2024-03-01";"-12,50";"987,50";' +
+    '"NL33INGB0001234567";"Bakker";"Brood"',
+  '"NL11RABO0123456789";"EUR";"RABONL2U";"000000000000000002";"2024-03-02";"2024-03-02";"+1500,00";"2487,50";' +
+    '"NL44ABNA0009876543";"Werkgever";"Salaris maart"',
+  '"NL22RABO0987654321";"EUR";"RABONL2U";"000000000000000003";"2024-03-03";"2024-03-03";"+50,00";"550,00";' +
+    '"NL33INGB0001234567";"Oma";"Verjaardag"'
+].join('\r\n');
+
+const ACCOUNT_MAPPING = { NL11RABO0123456789: 'acc-checking', NL22RABO0987654321: 'acc-savings' };
+
+let fake;
+let importer;
+let baseUrl;
+let dataDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+    probe.on('error', reject);
+  });
+}
+
+async function waitForHealth(url, child) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    if (child.exitCode !== null) {
+      throw new Error(`Importer stopte met code ${child.exitCode}.`);
+    }
+    try {
+      if ((await fetch(`${url}/api/health`)).ok) {
+        return;
+      }
+    } catch {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Importer startte niet binnen 10 seconden.');
+}
+
+async function sendJson(method, endpoint, body) {
+  const response = await fetch(`${baseUrl}${endpoint}`, {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const postJson = (endpoint, body) => sendJson('POST', endpoint, body);
+const putJson = (endpoint, body) => sendJson('PUT', endpoint, body);
+
+async function uploadCsv(text = RABOBANK_CSV) {
+  const form = new FormData();
+  form.append('csv', new Blob([text], { type: 'text/csv' }), 'rabobank.csv');
+  const response = await fetch(`${baseUrl}/api/csv/preview`, { method: 'POST', body: form });
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+function importRequest(preview, overrides = {}) {
+  const { profile } = preview;
+  return {
+    sessionId: preview.sessionId,
+    mapping: profile.mapping,
+    groupByColumn: profile.groupByColumn,
+    amountFormat: profile.amountFormat,
+    dateFormat: profile.dateFormat,
+    balanceTiming: profile.balanceTiming,
+    accountMapping: ACCOUNT_MAPPING,
+    ...overrides
+  };
+}
+
+before(async () => {
+  fake = await startFakeActualServer();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'actualimporter-e2e-'));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+
+  importer = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      APP_PORT: String(port),
+      DATA_DIR: dataDir,
+      ACTUAL_CONNECTOR: 'rest',
+      MOCK_ACTUAL: 'false',
+      ACTUAL_SERVER_URL: fake.url,
+      ACTUAL_PASSWORD: 'test',
+      ACTUAL_BUDGET_ID: 'budget-main',
+      ACTUAL_PROFILES_KEY: 'e2e-sleutel',
+      AUTH_USERS: '',
+      AUTH_PROXY_HEADER: ''
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  await waitForHealth(baseUrl, importer);
+});
+
+after(async () => {
+  importer?.kill();
+  await fake?.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fake.reset();
+});
+
+test('preview, dry-run and import send the rows to Actual', async () => {
+  const preview = await uploadCsv();
+  assert.equal(preview.profile.id, 'rabobank');
+
+  const dryRun = await postJson('/api/import', importRequest(preview, { dryRun: true }));
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.totalTransactions, 3);
+  assert.equal(dryRun.body.totalInvalid, 0);
+  assert.deepEqual(
+    dryRun.body.groups.map((group) => group.duplicateCheck.status),
+    ['checked', 'checked']
+  );
+  assert.equal((await (await fetch(`${fake.url}/__imports`)).json()).imports.length, 0);
+
+  const result = await postJson('/api/import', importRequest(preview, { dryRun: false }));
+  assert.equal(result.status, 200);
+  assert.ok(result.body.importId);
+
+  const { imports } = await (await fetch(`${fake.url}/__imports`)).json();
+  const sent = Object.fromEntries(imports.map((call) => [call.body.accountId, call.body.transactions]));
+  const checking = sent['acc-checking'].map(({ date, amount, payee, imported_id: importedId }) => ({
+    date,
+    amount,
+    payee,
+    importedId
+  }));
+  assert.deepEqual(checking, [
+    { date: '2024-03-01', amount: -1250, payee: 'Bakker', importedId: 'NL11RABO0123456789:000000000000000001' },
+    { date: '2024-03-02', amount: 150000, payee: 'Werkgever', importedId: 'NL11RABO0123456789:000000000000000002' }
+  ]);
+  assert.equal(sent['acc-savings'].length, 1);
+  assert.ok(imports.every((call) => call.hasPassword));
+
+  const again = await postJson('/api/import', importRequest(preview, { dryRun: true }));
+  assert.equal(again.body.totalDuplicates, 3);
+});
+
+test('a 401 from Actual stops the import with a clear error', async () => {
+  const preview = await uploadCsv();
+  fake.injectFault({ endpoint: '/api/import-transactions', status: 401, times: 1 });
+
+  const result = await postJson('/api/import', importRequest(preview, { dryRun: false }));
+  assert.equal(result.status, 502);
+  assert.match(result.body.error, /Import naar Actual mislukt/);
+  assert.match(result.body.details, /status 401/);
+  assert.ok(result.body.importId);
+
+  const { import: batch } = await (await fetch(`${baseUrl}/api/imports/${result.body.importId}`)).json();
+  assert.equal(batch.status, 'failed');
+});
+
+test('a 500 from Actual fails the checks and stops the import', async () => {
+  const preview = await uploadCsv();
+  fake.injectFault({ endpoint: '/api/transactions', status: 500, times: 2 });
+
+  const dryRun = await postJson('/api/import', importRequest(preview, { dryRun: true }));
+  assert.equal(dryRun.status, 200);
+  assert.deepEqual(
+    dryRun.body.groups.map((group) => group.duplicateCheck.status),
+    ['failed', 'failed']
+  );
+  assert.match(dryRun.body.groups[0].duplicateCheck.reason, /status 500/);
+
+  fake.injectFault({ endpoint: '/api/import-transactions', status: 500, message: 'Database vergrendeld', times: 1 });
+  const result = await postJson('/api/import', importRequest(preview, { dryRun: false }));
+  assert.equal(result.status, 502);
+  assert.match(result.body.error, /groep 'NL11RABO0123456789'/);
+  assert.match(result.body.details, /Database vergrendeld/);
+
+  // The import stops at the failing group; later groups are not sent.
+  const { imports } = await (await fetch(`${fake.url}/__imports`)).json();
+  assert.equal(imports.length, 1);
+  assert.equal(imports[0].fault.status, 500);
+});
+
+test('a slow Actual response still completes the import', async () => {
+  const preview = await uploadCsv();
+  fake.injectFault({ endpoint: '/api/import-transactions', delayMs: 400 });
+
+  const started = Date.now();
+  const result = await postJson('/api/import', importRequest(preview, { dryRun: false }));
+  assert.equal(result.status, 200);
+  assert.ok(Date.now() - started >= 800, 'both groups waited for the slow endpoint');
+  assert.deepEqual(
+    result.body.groups.map((group) => group.importedCount),
+    [2, 1]
+  );
+});
+
+test('a stored profile password is only sent to the profile server', async () => {
+  const other = await startFakeActualServer();
+  try {
+    const created = await postJson('/api/connection-profiles', {
+      name: 'Thuis',
+      serverUrl: fake.url,
+      password: 'test',
+      budgetId: 'budget-main'
+    });
+    assert.equal(created.status, 201);
+    const profileId = created.body.profile.id;
+
+    const redirected = await postJson('/api/actual/budgets', { profileId, serverUrl: other.url });
+    assert.equal(redirected.status, 400);
+    assert.equal(other.requests.length, 0);
+
+    const budgets = await postJson('/api/actual/budgets', { profileId, serverUrl: `${fake.url}/` });
+    assert.equal(budgets.status, 200);
+    assert.ok(budgets.body.budgets.some((budget) => budget.id === 'budget-main'));
+  } finally {
+    await other.close();
+  }
+});
+
+test('changing the server URL of a profile asks for the password again', async () => {
+  const other = await startFakeActualServer();
+  try {
+    const created = await postJson('/api/connection-profiles', {
+      name: 'Verhuisd',
+      serverUrl: fake.url,
+      password: 'test',
+      budgetId: 'budget-main'
+    });
+    const profileId = created.body.profile.id;
+
+    const moved = await putJson(`/api/connection-profiles/${profileId}`, { serverUrl: other.url });
+    assert.equal(moved.status, 400);
+    assert.match(moved.body.error, /wachtwoord/);
+
+    const budgets = await postJson('/api/actual/budgets', { profileId });
+    assert.equal(budgets.status, 200);
+    assert.equal(other.requests.length, 0);
+
+    const movedWithPassword = await putJson(`/api/connection-profiles/${profileId}`, {
+      serverUrl: other.url,
+      password: 'test'
+    });
+    assert.equal(movedWithPassword.status, 200);
+    assert.equal((await postJson('/api/actual/budgets', { profileId })).status, 200);
+    assert.equal(other.requests.length, 1);
+  } finally {
+    await other.close();
+  }
+});
+
+test('the password from the environment is only sent to ACTUAL_SERVER_URL', async () => {
+  const other = await startFakeActualServer();
+  try {
+    const elsewhere = await postJson('/api/actual/budgets', { serverUrl: other.url });
+    assert.equal(elsewhere.status, 400);
+    assert.ok(other.requests.every((request) => !request.hasPassword));
+
+    const configured = await postJson('/api/actual/budgets', { serverUrl: `${fake.url}/` });
+    assert.equal(configured.status, 200);
+  } finally {
+    await other.close();
+  }
+});
@@ -1,57 +1,144 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useState } from 'react';
+import ConnectionProfiles from './ConnectionProfiles.jsx';
+import CreateAccountForm from './CreateAccountForm.jsx';
+import PayeeRules from './PayeeRules.jsx';
+import ReviewTable from './ReviewTable.jsx';
+import { formatCents } from './format.js';
 
 const TARGET_FIELDS = [
   { key: 'date', label: 'Datum' },
   { key: 'amount', label: 'Bedrag' },
   { key: 'payee', label: 'Tegenrekening / Payee' },
-  { key: 'notes', label: 'Omschrijving / Notes' }
+  { key: 'notes', label: 'Omschrijving / Notes' },
+  { key: 'importedId', label: 'Unieke ID (optioneel)', optional: true },
+  { key: 'category', label: 'Categorie (optioneel)', optional: true },
+  { key: 'counterpartyIban', label: 'Tegenrekening IBAN (optioneel)', optional: true },
+  { key: 'balance', label: 'Saldo (optioneel)', optional: true }
 ];
 
-function getInitialRule(headers) {
+const DEFAULT_AMOUNT_FORMAT = {
+  decimalSeparator: ',',
+  thousandsSeparator: '.',
+  sign: 'signed',
+  indicatorColumn: '',
+  debitIndicators: ['Af', 'D', 'Debet', 'Debit'],
+  debitColumn: '',
+  creditColumn: ''
+};
+
+const THOUSANDS_SEPARATORS = [
+  { value: '', label: 'Geen' },
+  { value: '.', label: 'Punt (1.234)' },
+  { value: ',', label: 'Komma (1,234)' },
+  { value: ' ', label: 'Spatie (1 234)' },
+  { value: "'", label: "Apostrof (1'234)" }
+];
+
+const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'YYYYMMDD',
+  'DD-MM-YYYY',
+  'DD/MM/YYYY',
+  'DD.MM.YYYY',
+  'DD-MM-YY',
+  'DD/MM/YY',
+  'YYYY/MM/DD',
+  'MM/DD/YYYY',
+  'MM/DD/YY'
+];
+
+const CSV_DELIMITERS = [
+  { value: ';', label: 'Puntkomma (;)' },
+  { value: ',', label: 'Komma (,)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' }
+];
+
+const CSV_QUOTES = [
+  { value: '"', label: 'Dubbel (")' },
+  { value: "'", label: "Enkel (')" },
+  { value: '', label: 'Geen' }
+];
+
+const FILE_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Windows-1252' },
+  { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' }
+];
+
+const CONFIDENCE_LABELS = {
+  high: 'zeker',
+  medium: 'waarschijnlijk',
+  low: 'mogelijk'
+};
+
+const SIGN_MODES = [
+  { value: 'signed', label: 'Bedrag met +/- teken' },
+  { value: 'inverted', label: 'Teken omdraaien' },
+  { value: 'indicator', label: 'Af/Bij indicatorkolom' },
+  { value: 'debitCredit', label: 'Aparte debet- en creditkolom' }
+];
+
+function describeUpload(payload) {
+  const rowCount = payload.rowCount || 0;
+
+  if (payload.format === 'multi') {
+    const duplicates = (payload.files || []).reduce((sum, file) => sum + file.duplicateRows, 0);
+    return (
+      `${payload.files.length} bestanden samengevoegd: ${rowCount} rijen` +
+      (duplicates ? `, ${duplicates} dubbele rij(en) uit overlappende bestanden weggelaten` : '')
+    );
+  }
+  if (payload.sheetName) {
+    return `Werkblad '${payload.sheetName}' geladen: ${rowCount} rijen`;
+  }
+  if (payload.format && payload.format !== 'csv') {
+    return `Afschrift geladen: ${rowCount} rijen, tekenset ${payload.encoding}`;
+  }
+  return (
+    `CSV geladen: ${rowCount} rijen, delimiter '${payload.delimiter}', tekenset ${payload.encoding}` +
+    (payload.dialect?.headerRow ? `, ${payload.dialect.headerRow} regel(s) vooraf overgeslagen` : '')
+  );
+}
+
+function getInitialRule(headers, field) {
   return {
-    type: 'direct',
-    column: headers[0] || '',
+    type: field?.optional ? 'none' : 'direct',
+    column: field?.optional ? '' : headers[0] || '',
     columns: [],
     separator: ' '
   };
 }
 
-function applyMapping(rows, mapping) {
-  return rows.map((row) => {
-    const mapped = {};
-
-    for (const field of TARGET_FIELDS) {
-      const rule = mapping[field.key];
-      if (!rule) {
-        mapped[field.key] = '';
-        continue;
-      }
-
-      if (rule.type === 'merge') {
-        mapped[field.key] = (rule.columns || [])
-          .map((column) => (row[column] ?? '').toString().trim())
-          .filter(Boolean)
-          .join(rule.separator ?? ' ');
-      } else {
-        mapped[field.key] = (row[rule.column] ?? '').toString().trim();
-      }
-    }
+function buildMapping(headers, profile) {
+  const mapping = {};
+
+  for (const field of TARGET_FIELDS) {
+    const profileRule = profile?.mapping?.[field.key];
+    const usable =
+      profileRule &&
+      (profileRule.type === 'merge'
+        ? (profileRule.columns || []).some((column) => headers.includes(column))
+        : headers.includes(profileRule.column));
+
+    mapping[field.key] = usable
+      ? {
+          ...getInitialRule(headers, field),
+          ...profileRule,
+          columns: (profileRule.columns || []).filter((column) => headers.includes(column))
+        }
+      : getInitialRule(headers, field);
+  }
 
-    return mapped;
-  });
+  return mapping;
 }
 
-function groupKeys(rows, groupByColumn) {
-  if (!groupByColumn) {
-    return ['all'];
-  }
-
-  const keys = new Set();
-  for (const row of rows) {
-    const key = (row[groupByColumn] ?? '').toString().trim() || '(leeg)';
-    keys.add(key);
-  }
-  return [...keys];
+async function requestJson(url, options) {
+  const response = await fetch(url, options);
+  const payload = await response.json().catch(() => ({}));
+  return { response, payload };
 }
 
 function parseApiMessage(payload, fallbackError, fallbackHint) {
@@ -91,16 +178,49 @@ function stringifyDebugValue(value) {
 }
 
 export default function App() {
-  const [csvFile, setCsvFile] = useState(null);
+  const [csvFiles, setCsvFiles] = useState([]);
+  const [fileEncoding, setFileEncoding] = useState('');
+  const [sheetName, setSheetName] = useState('');
+  const [sheetNames, setSheetNames] = useState([]);
+  const [uploadedFiles, setUploadedFiles] = useState([]);
+  const [csvDialect, setCsvDialect] = useState(null);
   const [headers, setHeaders] = useState([]);
   const [rows, setRows] = useState([]);
   const [rowCount, setRowCount] = useState(0);
+  const [sessionId, setSessionId] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [bankProfiles, setBankProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [detectedProfileId, setDetectedProfileId] = useState('');
+  const [loadingProfile, setLoadingProfile] = useState(false);
+  const [amountFormat, setAmountFormat] = useState(DEFAULT_AMOUNT_FORMAT);
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [balanceTiming, setBalanceTiming] = useState('after');
+  const [mappedPreview, setMappedPreview] = useState([]);
+  const [resolvedDateFormat, setResolvedDateFormat] = useState('');
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyDetail, setHistoryDetail] = useState(null);
+  const [loadingHistory, setLoadingHistory] = useState(false);
+  const [rollbackPreview, setRollbackPreview] = useState(null);
+  const [excludedRows, setExcludedRows] = useState([]);
+  const [reviewVersion, setReviewVersion] = useState(0);
+  const [loadingRollback, setLoadingRollback] = useState(false);
   const [mapping, setMapping] = useState({});
   const [groupByColumn, setGroupByColumn] = useState('');
   const [accountMapping, setAccountMapping] = useState({});
+  const [accountSuggestions, setAccountSuggestions] = useState({});
+  const [creatingAccountFor, setCreatingAccountFor] = useState('');
   const [accounts, setAccounts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [categoryDrafts, setCategoryDrafts] = useState({});
+  const [loadingCategories, setLoadingCategories] = useState(false);
   const [budgets, setBudgets] = useState([]);
   const [actualConfig, setActualConfig] = useState({
+    profileId: '',
     serverUrl: '',
     password: '',
     budgetId: ''
@@ -114,20 +234,126 @@ export default function App() {
   const [loadingImport, setLoadingImport] = useState(false);
   const [lastApiError, setLastApiError] = useState(null);
   const [copyDebugStatus, setCopyDebugStatus] = useState('');
+  const [authUser, setAuthUser] = useState(null);
   const canLoadAccounts =
     Boolean(actualConfig.serverUrl.trim()) &&
-    Boolean(actualConfig.password) &&
+    Boolean(actualConfig.password || actualConfig.profileId) &&
     Boolean(actualConfig.budgetId.trim());
 
-  const groups = useMemo(() => groupKeys(rows, groupByColumn), [rows, groupByColumn]);
-  const mappedPreview = useMemo(() => applyMapping(rows.slice(0, 10), mapping), [rows, mapping]);
+  const activeProfile = bankProfiles.find((profile) => profile.id === profileId) || null;
 
   useEffect(() => {
     setCopyDebugStatus('');
   }, [lastApiError]);
 
+  useEffect(() => {
+    requestJson('/api/auth/me')
+      .then(({ response, payload }) => {
+        if (response.status === 401) {
+          window.location.assign(`/login?next=${encodeURIComponent(window.location.pathname)}`);
+          return;
+        }
+        setAuthUser(payload.user || null);
+      })
+      .catch(() => setAuthUser(null));
+  }, []);
+
+  useEffect(() => {
+    fetch('/api/bank-profiles')
+      .then((response) => (response.ok ? response.json() : { profiles: [] }))
+      .then((payload) => setBankProfiles(payload.profiles || []))
+      .catch(() => setBankProfiles([]));
+    loadTemplates();
+    loadHistory();
+  }, []);
+
+  useEffect(() => {
+    if (!sessionId || !Object.keys(mapping).length) {
+      setMappedPreview([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      fetch(`/api/sessions/${encodeURIComponent(sessionId)}/mapped-preview`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ mapping, amountFormat, dateFormat, limit: 10 })
+      })
+        .then((response) => response.json().then((payload) => ({ response, payload })))
+        .then(({ response, payload }) => {
+          if (cancelled) {
+            return;
+          }
+
+          if (!response.ok) {
+            setMessage(parseApiMessage(payload, 'Voorbeeld na mapping ophalen mislukt.'));
+            setMappedPreview([]);
+            return;
+          }
+
+          setMappedPreview(payload.rows || []);
+          setResolvedDateFormat(payload.dateFormat || '');
+        })
+        .catch((error) => {
+          if (!cancelled) {
+            setMessage(`Netwerkfout tijdens voorbeeld ophalen: ${error.message}`);
+          }
+        });
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sessionId, mapping, amountFormat, dateFormat, reviewVersion]);
+
+  useEffect(() => {
+    if (!sessionId) {
+      setGroups([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const query = new URLSearchParams({ groupByColumn });
+
+    fetch(`/api/sessions/${encodeURIComponent(sessionId)}/groups?${query}`)
+      .then((response) => response.json().then((payload) => ({ response, payload })))
+      .then(({ response, payload }) => {
+        if (cancelled) {
+          return;
+        }
+
+        if (!response.ok) {
+          setLastApiError({
+            action: 'load-groups',
+            endpoint: '/api/sessions/:sessionId/groups',
+            status: response.status,
+            statusText: response.statusText,
+            responsePayload: payload
+          });
+          setMessage(parseApiMessage(payload, 'Groepen ophalen mislukt.'));
+          setGroups([]);
+          return;
+        }
+
+        setGroups(payload.groups || []);
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setMessage(`Netwerkfout tijdens groepen ophalen: ${error.message}`);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, groupByColumn]);
+
   function onCsvFileChange(event) {
-    setCsvFile(event.target.files?.[0] || null);
+    setCsvFiles([...(event.target.files || [])]);
+    setSheetName('');
+    setSheetNames([]);
   }
 
   async function copyTextToClipboard(text) {
@@ -199,10 +425,346 @@ export default function App() {
     await copyTextToClipboard(json);
   }
 
+  function applyPreviewPayload(payload) {
+    const nextHeaders = payload.headers || [];
+    const profile = payload.profile || null;
+
+    setHeaders(nextHeaders);
+    setRows(payload.rows || []);
+    setRowCount(payload.rowCount || 0);
+    setSheetName(payload.sheetName || '');
+    setSheetNames(payload.sheetNames || []);
+    setUploadedFiles(payload.files || []);
+    setCsvDialect(payload.dialect || null);
+    setSessionId(payload.sessionId || '');
+    setProfileId(profile?.id || '');
+    setDetectedProfileId(payload.detectedProfileId || '');
+    setMapping(buildMapping(nextHeaders, profile));
+    setGroupByColumn(nextHeaders.includes(profile?.groupByColumn) ? profile.groupByColumn : '');
+    setAmountFormat({ ...DEFAULT_AMOUNT_FORMAT, ...(profile?.amountFormat || {}) });
+    setDateFormat(profile?.dateFormat || 'auto');
+    setBalanceTiming(profile?.balanceTiming || 'after');
+    setExcludedRows([]);
+    setReviewVersion((prev) => prev + 1);
+  }
+
+  async function logout() {
+    await fetch('/api/auth/logout', { method: 'POST' }).catch(() => {});
+    window.location.assign('/login');
+  }
+
+  async function loadTemplates() {
+    try {
+      const { response, payload } = await requestJson('/api/templates');
+      if (response.ok) {
+        setTemplates(payload.templates || []);
+      }
+      return payload.templates || [];
+    } catch (_error) {
+      return [];
+    }
+  }
+
+  function applyTemplate(template, templateHeaders = headers) {
+    if (!template) {
+      setTemplateId('');
+      setTemplateName('');
+      return;
+    }
+
+    const baseMapping = buildMapping(templateHeaders, null);
+    setTemplateId(template.id);
+    setTemplateName(template.name);
+    setMapping({ ...baseMapping, ...(template.mapping || {}) });
+    setAmountFormat({ ...DEFAULT_AMOUNT_FORMAT, ...(template.amountFormat || {}) });
+    setDateFormat(template.dateFormat || 'auto');
+    setBalanceTiming(template.balanceTiming || 'after');
+    setGroupByColumn(templateHeaders.includes(template.groupByColumn) ? template.groupByColumn : '');
+    setAccountMapping(template.accountMapping || {});
+    if (template.budgetId) {
+      setActualConfig((prev) => ({ ...prev, budgetId: template.budgetId }));
+    }
+  }
+
+  async function saveTemplate(asNew) {
+    if (!templateName.trim()) {
+      setMessage('Geef het template eerst een naam.');
+      return;
+    }
+
+    const endpoint = asNew ? '/api/templates' : `/api/templates/${encodeURIComponent(templateId)}`;
+    setSavingTemplate(true);
+    setLastApiError(null);
+
+    try {
+      const { response, payload } = await requestJson(endpoint, {
+        method: asNew ? 'POST' : 'PUT',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          name: templateName,
+          profileId,
+          headers,
+          mapping,
+          amountFormat,
+          dateFormat,
+          balanceTiming,
+          groupByColumn,
+          accountMapping,
+          budgetId: actualConfig.budgetId
+        })
+      });
+
+      if (!response.ok) {
+        setLastApiError({
+          action: 'save-template',
+          endpoint,
+          status: response.status,
+          statusText: response.statusText,
+          responsePayload: payload
+        });
+        setMessage(parseApiMessage(payload, 'Template opslaan mislukt.'));
+        return;
+      }
+
+      await loadTemplates();
+      setTemplateId(payload.template.id);
+      setMessage(`Template '${payload.template.name}' opgeslagen.`);
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens template opslaan: ${error.message}`);
+    } finally {
+      setSavingTemplate(false);
+    }
+  }
+
+  async function removeTemplate() {
+    if (!templateId) {
+      return;
+    }
+
+    const endpoint = `/api/templates/${encodeURIComponent(templateId)}`;
+    setSavingTemplate(true);
+
+    try {
+      const response = await fetch(endpoint, { method: 'DELETE' });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => ({}));
+        setMessage(parseApiMessage(payload, 'Template verwijderen mislukt.'));
+        return;
+      }
+
+      await loadTemplates();
+      setTemplateId('');
+      setMessage(`Template '${templateName}' verwijderd.`);
+      setTemplateName('');
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens template verwijderen: ${error.message}`);
+    } finally {
+      setSavingTemplate(false);
+    }
+  }
+
+  async function loadHistory() {
+    setLoadingHistory(true);
+
+    try {
+      const { response, payload } = await requestJson('/api/imports');
+      if (!response.ok) {
+        setMessage(parseApiMessage(payload, 'Importgeschiedenis ophalen mislukt.'));
+        return;
+      }
+      setHistory(payload.imports || []);
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens importgeschiedenis ophalen: ${error.message}`);
+    } finally {
+      setLoadingHistory(false);
+    }
+  }
+
+  async function toggleHistoryDetail(importId) {
+    setRollbackPreview(null);
+    if (historyDetail?.id === importId) {
+      setHistoryDetail(null);
+      return;
+    }
+
+    try {
+      const { response, payload } = await requestJson(`/api/imports/${encodeURIComponent(importId)}`);
+      if (!response.ok) {
+        setMessage(parseApiMessage(payload, 'Importdetails ophalen mislukt.'));
+        return;
+      }
+      setHistoryDetail(payload.import);
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens importdetails ophalen: ${error.message}`);
+    }
+  }
+
+  async function runRollback(importId, confirm) {
+    const endpoint = `/api/imports/${encodeURIComponent(importId)}/rollback`;
+    setLoadingRollback(true);
+    setLastApiError(null);
+    setMessage(confirm ? 'Import wordt teruggedraaid...' : 'Bepalen welke transacties verwijderd worden...');
+
+    try {
+      const { response, payload } = await requestJson(endpoint, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ dryRun: !confirm, actualConfig })
+      });
+
+      if (!response.ok) {
+        setLastApiError({
+          action: 'rollback-import',
+          endpoint,
+          status: response.status,
+          statusText: response.statusText,
+          responsePayload: payload
+        });
+        setMessage(
+          parseApiMessage(payload, 'Import terugdraaien mislukt.', 'Controleer server URL en wachtwoord bij stap 3.')
+        );
+        if (confirm) {
+          loadHistory();
+        }
+        return;
+      }
+
+      if (confirm) {
+        setRollbackPreview(null);
+        setHistoryDetail(null);
+        setMessage(`Import teruggedraaid: ${payload.deletedCount} transacties verwijderd uit Actual.`);
+        loadHistory();
+        return;
+      }
+
+      setRollbackPreview(payload);
+      setMessage(`Terugdraaien zou ${payload.totalToDelete} transacties verwijderen. Bevestig hieronder.`);
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens terugdraaien: ${error.message}`);
+    } finally {
+      setLoadingRollback(false);
+    }
+  }
+
+  async function updateSessionRows(updates) {
+    const endpoint = `/api/sessions/${encodeURIComponent(sessionId)}/rows`;
+
+    try {
+      const { response, payload } = await requestJson(endpoint, {
+        method: 'PATCH',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ rows: updates })
+      });
+
+      if (!response.ok) {
+        setLastApiError({
+          action: 'update-rows',
+          endpoint,
+          status: response.status,
+          statusText: response.statusText,
+          responsePayload: payload
+        });
+        setMessage(parseApiMessage(payload, 'Rijen bijwerken mislukt.'));
+        return false;
+      }
+
+      setExcludedRows(payload.excludedRows || []);
+      setReviewVersion((prev) => prev + 1);
+      return true;
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens rijen bijwerken: ${error.message}`);
+      return false;
+    }
+  }
+
+  function toggleExcludedRow(row, exclude) {
+    updateSessionRows([{ row, excluded: exclude }]);
+  }
+
+  function updateAmountFormat(patch) {
+    setAmountFormat((prev) => ({ ...prev, ...patch }));
+  }
+
+  async function selectProfile(nextProfileId) {
+    if (!sessionId) {
+      setProfileId(nextProfileId);
+      return;
+    }
+
+    setLoadingProfile(true);
+    setLastApiError(null);
+
+    try {
+      const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/profile`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ profileId: nextProfileId })
+      });
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setLastApiError({
+          action: 'select-profile',
+          endpoint: '/api/sessions/:sessionId/profile',
+          status: response.status,
+          statusText: response.statusText,
+          responsePayload: payload
+        });
+        setMessage(parseApiMessage(payload, 'Bankprofiel toepassen mislukt.'));
+        return;
+      }
+
+      applyPreviewPayload(payload);
+      setMessage(payload.profile ? `Bankprofiel ${payload.profile.name} toegepast.` : 'Generieke mapping toegepast.');
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens bankprofiel toepassen: ${error.message}`);
+    } finally {
+      setLoadingProfile(false);
+    }
+  }
+
+  async function changeDialect(patch) {
+    setLoadingPreview(true);
+    setLastApiError(null);
+
+    try {
+      const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/dialect`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ ...csvDialect, ...patch })
+      });
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setLastApiError({
+          action: 'csv-dialect',
+          endpoint: '/api/sessions/:sessionId/dialect',
+          status: response.status,
+          statusText: response.statusText,
+          responsePayload: payload
+        });
+        setMessage(parseApiMessage(payload, 'CSV opnieuw inlezen mislukt.'));
+        return;
+      }
+
+      applyPreviewPayload(payload);
+      const matchedTemplateId = payload.matchingTemplateIds?.[0];
+      const matchedTemplate = matchedTemplateId
+        ? (await loadTemplates()).find((template) => template.id === matchedTemplateId)
+        : null;
+      applyTemplate(matchedTemplate, payload.headers || []);
+      setMessage(`CSV opnieuw ingelezen: ${payload.rowCount || 0} rijen.`);
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens CSV opnieuw inlezen: ${error.message}`);
+    } finally {
+      setLoadingPreview(false);
+    }
+  }
+
   async function uploadCsv(event) {
     event.preventDefault();
-    if (!csvFile) {
-      setMessage('Selecteer eerst een CSV-bestand.');
+    if (!csvFiles.length) {
+      setMessage('Selecteer eerst een CSV- of afschriftbestand.');
       return;
     }
 
@@ -213,7 +775,15 @@ export default function App() {
 
     try {
       const formData = new FormData();
-      formData.append('csv', csvFile);
+      for (const file of csvFiles) {
+        formData.append('csv', file);
+      }
+      if (fileEncoding) {
+        formData.append('encoding', fileEncoding);
+      }
+      if (sheetName) {
+        formData.append('sheet', sheetName);
+      }
 
       const response = await fetch('/api/csv/preview', {
         method: 'POST',
@@ -232,17 +802,19 @@ export default function App() {
         throw new Error(payload.error || 'CSV upload mislukt.');
       }
 
-      setHeaders(payload.headers || []);
-      setRows(payload.rows || []);
-      setRowCount(payload.rowCount || 0);
+      applyPreviewPayload(payload);
 
-      const nextMapping = {};
-      for (const field of TARGET_FIELDS) {
-        nextMapping[field.key] = getInitialRule(payload.headers || []);
-      }
-      setMapping(nextMapping);
+      const matchedTemplateId = payload.matchingTemplateIds?.[0];
+      const matchedTemplate = matchedTemplateId
+        ? (await loadTemplates()).find((template) => template.id === matchedTemplateId)
+        : null;
+      applyTemplate(matchedTemplate, payload.headers || []);
 
-      setMessage(`CSV geladen: ${payload.rowCount || 0} rijen, delimiter '${payload.delimiter}'.`);
+      setMessage(
+        describeUpload(payload) +
+          (payload.profile ? `, herkend als ${payload.profile.name}` : '') +
+          (matchedTemplate ? `, template '${matchedTemplate.name}' toegepast.` : '.')
+      );
       setLastApiError(null);
     } catch (error) {
       if (!lastApiError) {
@@ -258,24 +830,89 @@ export default function App() {
     }
   }
 
-  function updateRule(fieldKey, patch) {
+  function updateRule(field, patch) {
     setMapping((prev) => ({
       ...prev,
-      [fieldKey]: {
-        ...(prev[fieldKey] || getInitialRule(headers)),
+      [field.key]: {
+        ...(prev[field.key] || getInitialRule(headers, field)),
         ...patch
       }
     }));
   }
 
+  async function loadCategories() {
+    setLoadingCategories(true);
+    setLastApiError(null);
+
+    try {
+      const { response, payload } = await requestJson('/api/actual/categories', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(actualConfig)
+      });
+
+      if (!response.ok) {
+        setLastApiError({
+          action: 'load-categories',
+          endpoint: '/api/actual/categories',
+          status: response.status,
+          statusText: response.statusText,
+          responsePayload: payload
+        });
+        setMessage(parseApiMessage(payload, 'Categorieën ophalen mislukt.'));
+        return;
+      }
+
+      setCategories(payload.categories || []);
+      setCategoryDrafts(payload.mappings || {});
+      setMessage(`Categorieën geladen: ${(payload.categories || []).length}`);
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens categorieën ophalen: ${error.message}`);
+    } finally {
+      setLoadingCategories(false);
+    }
+  }
+
+  async function saveCategoryMappings() {
+    if (!actualConfig.budgetId.trim()) {
+      setMessage('Kies eerst een budget ID om categoriekoppelingen te onthouden.');
+      return;
+    }
+
+    try {
+      const { response, payload } = await requestJson('/api/category-mappings', {
+        method: 'PUT',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ budgetId: actualConfig.budgetId, mappings: categoryDrafts })
+      });
+
+      if (!response.ok) {
+        setMessage(parseApiMessage(payload, 'Categoriekoppelingen opslaan mislukt.'));
+        return;
+      }
+
+      setCategoryDrafts(payload.mappings || {});
+      setMessage('Categoriekoppelingen opgeslagen. Start de dry-run opnieuw om ze te controleren.');
+    } catch (error) {
+      setMessage(`Netwerkfout tijdens categoriekoppelingen opslaan: ${error.message}`);
+    }
+  }
+
+  async function handleAccountCreated(group, account, warning = '') {
+    await loadAccounts();
+    setAccountMapping((prev) => ({ ...prev, [group]: account.id }));
+    setCreatingAccountFor('');
+    setMessage(warning || `Account '${account.name}' aangemaakt en gekoppeld aan groep ${group}.`);
+  }
+
   async function loadAccounts() {
     if (!actualConfig.serverUrl.trim()) {
       setMessage('ACTUAL_SERVER_URL ontbreekt.\nTip: Vul de server URL in bij stap 3.');
       return;
     }
 
-    if (!actualConfig.password) {
-      setMessage('ACTUAL_PASSWORD ontbreekt.\nTip: Vul het wachtwoord in bij stap 3.');
+    if (!actualConfig.password && !actualConfig.profileId) {
+      setMessage('ACTUAL_PASSWORD ontbreekt.\nTip: Vul het wachtwoord in of kies een profiel bij stap 3.');
       return;
     }
 
@@ -292,7 +929,7 @@ export default function App() {
       const response = await fetch('/api/actual/accounts', {
         method: 'POST',
         headers: { 'content-type': 'application/json' },
-        body: JSON.stringify(actualConfig)
+        body: JSON.stringify({ ...actualConfig, groups: groups.map(({ group }) => group) })
       });
       const payload = await response.json().catch(() => ({}));
 
@@ -314,8 +951,23 @@ export default function App() {
         return;
       }
 
+      const suggestions = payload.suggestions || {};
       setAccounts(payload.accounts || []);
-      setMessage(`Rekeningen geladen: ${(payload.accounts || []).length}`);
+      setAccountSuggestions(suggestions);
+      setAccountMapping((prev) => {
+        const next = { ...prev };
+        for (const [group, suggestion] of Object.entries(suggestions)) {
+          if (!next[group]) {
+            next[group] = suggestion.accountId;
+          }
+        }
+        return next;
+      });
+      setMessage(
+        `Rekeningen geladen: ${(payload.accounts || []).length}. Automatisch gekoppeld: ${
+          Object.keys(suggestions).length
+        } van ${groups.length} groepen.`
+      );
       setLastApiError(null);
     } catch (error) {
       setLastApiError({
@@ -341,8 +993,8 @@ export default function App() {
       return;
     }
 
-    if (!actualConfig.password) {
-      setMessage('ACTUAL_PASSWORD ontbreekt.\nTip: Vul het wachtwoord in bij stap 3.');
+    if (!actualConfig.password && !actualConfig.profileId) {
+      setMessage('ACTUAL_PASSWORD ontbreekt.\nTip: Vul het wachtwoord in of kies een profiel bij stap 3.');
       return;
     }
 
@@ -421,7 +1073,7 @@ export default function App() {
   }
 
   async function runImport() {
-    if (!rows.length) {
+    if (!sessionId) {
       setMessage('Upload eerst CSV data.');
       return;
     }
@@ -435,10 +1087,13 @@ export default function App() {
         method: 'POST',
         headers: { 'content-type': 'application/json' },
         body: JSON.stringify({
-          rows,
+          sessionId,
           mapping,
           groupByColumn,
           accountMapping,
+          amountFormat,
+          dateFormat,
+          balanceTiming,
           dryRun,
           actualConfig
         })
@@ -453,6 +1108,9 @@ export default function App() {
           statusText: response.statusText,
           responsePayload: payload
         });
+        if (payload.importId) {
+          loadHistory();
+        }
         setMessage(
           parseApiMessage(
             payload,
@@ -464,7 +1122,20 @@ export default function App() {
       }
 
       setImportResult(payload);
+      if (dryRun) {
+        const exactRows = (payload.groups || []).flatMap((group) =>
+          (group.duplicateCheck?.exact || []).map((duplicate) => duplicate.row)
+        );
+        if (exactRows.length) {
+          await updateSessionRows(exactRows.map((row) => ({ row, excluded: true })));
+        } else {
+          setReviewVersion((prev) => prev + 1);
+        }
+      }
       setMessage(dryRun ? 'Dry-run afgerond.' : 'Import afgerond.');
+      if (!dryRun) {
+        loadHistory();
+      }
       setLastApiError(null);
     } catch (error) {
       setLastApiError({
@@ -486,18 +1157,135 @@ export default function App() {
 
   return (
     <main className="container">
-      <h1>Actualimporter</h1>
-      <p className="subtitle">Rabobank CSV naar Actual Budget (web + API)</p>
+      <div className="row app-header">
+        <h1>Actualimporter</h1>
+        {authUser && (
+          <div className="row">
+            <span className="info">Ingelogd als {authUser}</span>
+            <button type="button" onClick={logout}>
+              Uitloggen
+            </button>
+          </div>
+        )}
+      </div>
+      <p className="subtitle">
+        Bank CSV (Rabobank, ING, ABN AMRO, bunq, SNS, ASN, Triodos) of CAMT.053, MT940 en OFX naar Actual Budget
+      </p>
 
       <section className="card">
         <h2>1) CSV upload & inspectie</h2>
         <form className="row" onSubmit={uploadCsv}>
-          <input type="file" accept=".csv,text/csv" onChange={onCsvFileChange} />
+          <input
+            type="file"
+            accept=".csv,text/csv,.xml,.sta,.940,.mt940,.ofx,.qfx,.txt,.xlsx,.xls"
+            multiple
+            onChange={onCsvFileChange}
+          />
+          <label>
+            Tekenset
+            <select value={fileEncoding} onChange={(event) => setFileEncoding(event.target.value)}>
+              <option value="">Automatisch</option>
+              {FILE_ENCODINGS.map((encoding) => (
+                <option key={encoding.value} value={encoding.value}>
+                  {encoding.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          {sheetNames.length > 1 && (
+            <label>
+              Werkblad
+              <select value={sheetName} onChange={(event) => setSheetName(event.target.value)}>
+                {sheetNames.map((name) => (
+                  <option key={name} value={name}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
           <button type="submit" disabled={loadingPreview}>
-            {loadingPreview ? 'Bezig...' : 'Upload CSV'}
+            {loadingPreview ? 'Bezig...' : csvFiles.length > 1 ? 'Upload bestanden' : 'Upload CSV'}
           </button>
         </form>
-        <p className="info">Ingelezen rijen: {rowCount}</p>
+        {csvDialect && sessionId && (
+          <div className="row">
+            <label>
+              Scheidingsteken
+              <select
+                value={csvDialect.delimiter}
+                onChange={(event) => changeDialect({ delimiter: event.target.value })}
+                disabled={loadingPreview}
+              >
+                {CSV_DELIMITERS.map((delimiter) => (
+                  <option key={delimiter.value} value={delimiter.value}>
+                    {delimiter.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Aanhalingsteken
+              <select
+                value={csvDialect.quote}
+                onChange={(event) => changeDialect({ quote: event.target.value })}
+                disabled={loadingPreview}
+              >
+                {CSV_QUOTES.map((quote) => (
+                  <option key={quote.value} value={quote.value}>
+                    {quote.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Kopregel (rij)
+              <input
+                type="number"
+                min="1"
+                value={csvDialect.headerRow + 1}
+                onChange={(event) => {
+                  const row = Number(event.target.value);
+                  if (Number.isInteger(row) && row >= 1) {
+                    changeDialect({ headerRow: row - 1 });
+                  }
+                }}
+                disabled={loadingPreview}
+              />
+            </label>
+            <label>
+              Voetregels overslaan
+              <input
+                type="number"
+                min="0"
+                value={csvDialect.footerRows}
+                onChange={(event) => {
+                  const count = Number(event.target.value);
+                  if (Number.isInteger(count) && count >= 0) {
+                    changeDialect({ footerRows: count });
+                  }
+                }}
+                disabled={loadingPreview}
+              />
+            </label>
+          </div>
+        )}
+        <p className="info">
+          Ingelezen rijen: {rowCount}
+          {rows.length < rowCount && ` (voorbeeld toont ${rows.length} van ${rowCount} rijen)`}
+        </p>
+        {uploadedFiles.length > 1 && (
+          <ul className="info">
+            {uploadedFiles.map((file) => (
+              <li key={file.fileName}>
+                {file.fileName}: {file.rowCount} rijen
+                {file.profileId &&
+                  ` (${bankProfiles.find((item) => item.id === file.profileId)?.name || file.profileId})`}
+                {file.duplicateRows > 0 && `, ${file.duplicateRows} dubbel met eerder bestand`}
+              </li>
+            ))}
+          </ul>
+        )}
 
         {rows.length > 0 && (
           <div className="table-wrap">
@@ -527,8 +1315,80 @@ export default function App() {
         <h2>2) Kolommen toewijzen / samenvoegen</h2>
         {!headers.length && <p className="info">Upload eerst CSV om mapping in te stellen.</p>}
 
+        {headers.length > 0 && (
+          <label>
+            Bankformaat
+            <select
+              value={profileId}
+              disabled={loadingProfile}
+              onChange={(event) => selectProfile(event.target.value)}
+            >
+              <option value="">Generiek (handmatige mapping)</option>
+              {bankProfiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                  {profile.id === detectedProfileId ? ' (herkend)' : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {headers.length > 0 && (
+          <div className="template-box">
+            <div className="grid3">
+              <label>
+                Template
+                <select
+                  value={templateId}
+                  onChange={(event) =>
+                    applyTemplate(templates.find((template) => template.id === event.target.value) || null)
+                  }
+                >
+                  <option value="">-- Geen template --</option>
+                  {templates.map((template) => (
+                    <option key={template.id} value={template.id}>
+                      {template.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Templatenaam
+                <input
+                  type="text"
+                  value={templateName}
+                  onChange={(event) => setTemplateName(event.target.value)}
+                  placeholder="Bijv. Rabobank privé"
+                />
+              </label>
+            </div>
+            <div className="row">
+              <button type="button" onClick={() => saveTemplate(true)} disabled={savingTemplate}>
+                Opslaan als nieuw template
+              </button>
+              <button type="button" onClick={() => saveTemplate(false)} disabled={savingTemplate || !templateId}>
+                Template bijwerken
+              </button>
+              <button type="button" onClick={removeTemplate} disabled={savingTemplate || !templateId}>
+                Template verwijderen
+              </button>
+            </div>
+            <p className="info">
+              Een template bewaart kolom-mapping, formaten, groepering, account-koppeling en budget ID en wordt
+              automatisch toegepast wanneer de kolommen van een upload overeenkomen.
+            </p>
+          </div>
+        )}
+
+        {activeProfile?.groupByColumn && (
+          <p className="info">
+            {activeProfile.name} wordt gegroepeerd op '{activeProfile.groupByColumn}'.
+          </p>
+        )}
+
         {TARGET_FIELDS.map((field) => {
-          const rule = mapping[field.key] || getInitialRule(headers);
+          const rule = mapping[field.key] || getInitialRule(headers, field);
           return (
             <div key={field.key} className="mapping-row">
               <div>
@@ -537,22 +1397,23 @@ export default function App() {
               <select
                 value={rule.type}
                 onChange={(event) =>
-                  updateRule(field.key, {
+                  updateRule(field, {
                     type: event.target.value,
-                    column: headers[0] || '',
+                    column: event.target.value === 'none' ? '' : headers[0] || '',
                     columns: [],
                     separator: ' '
                   })
                 }
               >
+                {field.optional && <option value="none">Niet gebruiken</option>}
                 <option value="direct">Directe kolom</option>
                 <option value="merge">Samenvoegen</option>
               </select>
 
-              {rule.type === 'direct' ? (
+              {rule.type === 'none' ? null : rule.type === 'direct' ? (
                 <select
                   value={rule.column || ''}
-                  onChange={(event) => updateRule(field.key, { column: event.target.value })}
+                  onChange={(event) => updateRule(field, { column: event.target.value })}
                 >
                   {headers.map((header) => (
                     <option key={header} value={header}>
@@ -566,7 +1427,7 @@ export default function App() {
                   <input
                     type="text"
                     value={rule.separator ?? ' '}
-                    onChange={(event) => updateRule(field.key, { separator: event.target.value })}
+                    onChange={(event) => updateRule(field, { separator: event.target.value })}
                   />
                   <div className="checkbox-grid">
                     {headers.map((header) => (
@@ -581,7 +1442,7 @@ export default function App() {
                             } else {
                               next.delete(header);
                             }
-                            updateRule(field.key, { columns: [...next] });
+                            updateRule(field, { columns: [...next] });
                           }}
                         />
                         {header}
@@ -594,6 +1455,147 @@ export default function App() {
           );
         })}
 
+        {headers.length > 0 && (
+          <div className="amount-format">
+            <h3>Datumformaat</h3>
+            <label>
+              Formaat in CSV
+              <select value={dateFormat} onChange={(event) => setDateFormat(event.target.value)}>
+                <option value="auto">
+                  Automatisch{dateFormat === 'auto' && resolvedDateFormat ? ` (${resolvedDateFormat})` : ''}
+                </option>
+                {DATE_FORMATS.map((format) => (
+                  <option key={format} value={format}>
+                    {format}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {dateFormat === 'auto' && !resolvedDateFormat && mappedPreview.length > 0 && (
+              <p className="info">Datumformaat niet herkend. Kies het formaat handmatig.</p>
+            )}
+
+            {mapping.balance && mapping.balance.type !== 'none' && (
+              <label>
+                Saldokolom bevat het saldo
+                <select value={balanceTiming} onChange={(event) => setBalanceTiming(event.target.value)}>
+                  <option value="after">na de transactie</option>
+                  <option value="before">vóór de transactie</option>
+                </select>
+              </label>
+            )}
+
+            <h3>Bedragformaat</h3>
+            <div className="grid3">
+              <label>
+                Decimaalteken
+                <select
+                  value={amountFormat.decimalSeparator}
+                  onChange={(event) => updateAmountFormat({ decimalSeparator: event.target.value })}
+                >
+                  <option value=",">Komma (12,50)</option>
+                  <option value=".">Punt (12.50)</option>
+                </select>
+              </label>
+              <label>
+                Duizendtalscheiding
+                <select
+                  value={amountFormat.thousandsSeparator}
+                  onChange={(event) => updateAmountFormat({ thousandsSeparator: event.target.value })}
+                >
+                  {THOUSANDS_SEPARATORS.filter((option) => option.value !== amountFormat.decimalSeparator).map(
+                    (option) => (
+                      <option key={`thousands-${option.label}`} value={option.value}>
+                        {option.label}
+                      </option>
+                    )
+                  )}
+                </select>
+              </label>
+              <label>
+                Teken
+                <select
+                  value={amountFormat.sign}
+                  onChange={(event) => updateAmountFormat({ sign: event.target.value })}
+                >
+                  {SIGN_MODES.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              {amountFormat.sign === 'indicator' && (
+                <>
+                  <label>
+                    Indicatorkolom
+                    <select
+                      value={amountFormat.indicatorColumn}
+                      onChange={(event) => updateAmountFormat({ indicatorColumn: event.target.value })}
+                    >
+                      <option value="">-- Kies kolom --</option>
+                      {headers.map((header) => (
+                        <option key={`indicator-${header}`} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Waarden voor afschrijving (komma-gescheiden)
+                    <input
+                      type="text"
+                      value={(amountFormat.debitIndicators || []).join(', ')}
+                      onChange={(event) =>
+                        updateAmountFormat({
+                          debitIndicators: event.target.value
+                            .split(',')
+                            .map((value) => value.trim())
+                            .filter(Boolean)
+                        })
+                      }
+                    />
+                  </label>
+                </>
+              )}
+
+              {amountFormat.sign === 'debitCredit' && (
+                <>
+                  <label>
+                    Debetkolom (af)
+                    <select
+                      value={amountFormat.debitColumn}
+                      onChange={(event) => updateAmountFormat({ debitColumn: event.target.value })}
+                    >
+                      <option value="">-- Kies kolom --</option>
+                      {headers.map((header) => (
+                        <option key={`debit-${header}`} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Creditkolom (bij)
+                    <select
+                      value={amountFormat.creditColumn}
+                      onChange={(event) => updateAmountFormat({ creditColumn: event.target.value })}
+                    >
+                      <option value="">-- Kies kolom --</option>
+                      {headers.map((header) => (
+                        <option key={`credit-${header}`} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+
         {mappedPreview.length > 0 && (
           <>
             <h3>Voorbeeld na mapping</h3>
@@ -601,17 +1603,25 @@ export default function App() {
               <table>
                 <thead>
                   <tr>
-                    {TARGET_FIELDS.map((field) => (
-                      <th key={field.key}>{field.label}</th>
-                    ))}
+                    <th>Rij</th>
+                    <th>Datum (ISO)</th>
+                    <th>Bedrag</th>
+                    <th>Tegenrekening / Payee</th>
+                    <th>Omschrijving / Notes</th>
+                    <th>Unieke ID</th>
+                    <th>Controle</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {mappedPreview.map((row, index) => (
-                    <tr key={`mapped-${index}`}>
-                      {TARGET_FIELDS.map((field) => (
-                        <td key={`${index}-${field.key}`}>{row[field.key]}</td>
-                      ))}
+                  {mappedPreview.map((row) => (
+                    <tr key={`mapped-${row.row}`} className={row.errors.length ? 'row-invalid' : ''}>
+                      <td>{row.row}</td>
+                      <td>{row.date}</td>
+                      <td>{formatCents(row.amount)}</td>
+                      <td>{row.payee}</td>
+                      <td>{row.notes}</td>
+                      <td>{row.imported_id}</td>
+                      <td>{[...row.errors, ...row.warnings].join(' ') || 'OK'}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -623,6 +1633,7 @@ export default function App() {
 
       <section className="card">
         <h2>3) Actual budget en accounts koppelen</h2>
+        <ConnectionProfiles actualConfig={actualConfig} onChange={setActualConfig} />
         <div className="grid3">
           <label>
             Actual server URL
@@ -633,6 +1644,8 @@ export default function App() {
                 setActualConfig((prev) => ({ ...prev, serverUrl: event.target.value }))
               }
               placeholder="https://actual.example.com"
+              readOnly={Boolean(actualConfig.profileId)}
+              title={actualConfig.profileId ? 'Komt uit het verbindingsprofiel' : undefined}
             />
           </label>
           <label>
@@ -643,6 +1656,7 @@ export default function App() {
               onChange={(event) =>
                 setActualConfig((prev) => ({ ...prev, password: event.target.value }))
               }
+              placeholder={actualConfig.profileId ? 'Opgeslagen in profiel' : ''}
             />
           </label>
         </div>
@@ -687,6 +1701,9 @@ export default function App() {
           <button type="button" onClick={loadAccounts} disabled={loadingAccounts || !canLoadAccounts}>
             {loadingAccounts ? 'Bezig...' : '3) Haal accounts op'}
           </button>
+          <button type="button" onClick={loadCategories} disabled={loadingCategories || !canLoadAccounts}>
+            {loadingCategories ? 'Bezig...' : 'Haal categorieën op'}
+          </button>
         </div>
 
         {!canLoadAccounts && (
@@ -710,9 +1727,10 @@ export default function App() {
               </select>
             </label>
 
-            {groups.map((group) => (
+            {groups.map(({ group, rowCount: groupRowCount }) => (
               <div key={`map-${group}`} className="mapping-row">
                 <strong>{group}</strong>
+                <span className="info">{groupRowCount} rijen</span>
                 <select
                   value={accountMapping[group] || ''}
                   onChange={(event) =>
@@ -729,6 +1747,35 @@ export default function App() {
                     </option>
                   ))}
                 </select>
+                {accountSuggestions[group] && accountSuggestions[group].accountId === accountMapping[group] && (
+                  <span
+                    className={`confidence confidence-${accountSuggestions[group].confidence}`}
+                    title={accountSuggestions[group].reason}
+                  >
+                    {CONFIDENCE_LABELS[accountSuggestions[group].confidence]}
+                  </span>
+                )}
+                {!accountMapping[group] && creatingAccountFor !== group && (
+                  <button type="button" onClick={() => setCreatingAccountFor(group)} disabled={!canLoadAccounts}>
+                    Nieuw account
+                  </button>
+                )}
+                {creatingAccountFor === group && (
+                  <CreateAccountForm
+                    sessionId={sessionId}
+                    group={group}
+                    settings={{ mapping, amountFormat, dateFormat, groupByColumn }}
+                    headers={headers}
+                    defaultBalance={
+                      mapping.balance?.type === 'direct'
+                        ? { column: mapping.balance.column, timing: balanceTiming }
+                        : null
+                    }
+                    actualConfig={actualConfig}
+                    onCreated={(account, warning) => handleAccountCreated(group, account, warning)}
+                    onCancel={() => setCreatingAccountFor('')}
+                  />
+                )}
               </div>
             ))}
           </div>
@@ -736,7 +1783,22 @@ export default function App() {
       </section>
 
       <section className="card">
-        <h2>4) Dry-run / import</h2>
+        <h2>4) Transacties controleren</h2>
+        <PayeeRules headers={headers} onChange={() => setReviewVersion((prev) => prev + 1)} />
+        {!sessionId && <p className="info">Upload eerst CSV om transacties te controleren.</p>}
+        {sessionId && (
+          <ReviewTable
+            sessionId={sessionId}
+            settings={{ mapping, amountFormat, dateFormat, groupByColumn }}
+            groups={groups}
+            version={reviewVersion}
+            onUpdateRows={updateSessionRows}
+          />
+        )}
+      </section>
+
+      <section className="card">
+        <h2>5) Dry-run / import</h2>
         <label className="row">
           <input type="checkbox" checked={dryRun} onChange={(event) => setDryRun(event.target.checked)} />
           Dry-run (alleen valideren, niet posten naar Actual)
@@ -749,14 +1811,392 @@ export default function App() {
           <div className="result">
             <p>Totaal transacties: {importResult.totalTransactions}</p>
             <p>Ongeldige transacties: {importResult.totalInvalid}</p>
+            {importResult.dateFormat && <p>Datumformaat: {importResult.dateFormat}</p>}
+            {importResult.totalWarnings > 0 && <p>Waarschuwingen: {importResult.totalWarnings}</p>}
+            {importResult.dryRun && (
+              <p>
+                Dubbelen: {importResult.totalDuplicates || 0} zeker, {importResult.totalProbableDuplicates || 0}{' '}
+                waarschijnlijk. Uitgesloten van import: {excludedRows.length} rijen.
+              </p>
+            )}
+            {!importResult.dryRun && importResult.totalExcluded > 0 && (
+              <p>Uitgesloten rijen: {importResult.totalExcluded}</p>
+            )}
+            {importResult.totalSkipped > 0 && <p>Overgeslagen door payee-regels: {importResult.totalSkipped}</p>}
+            {importResult.transfers &&
+              (importResult.transfers.pairs.length > 0 || importResult.transfers.unmatched.length > 0) && (
+                <details>
+                  <summary>
+                    Overboekingen tussen eigen rekeningen: {importResult.transfers.pairs.length} gekoppeld,{' '}
+                    {importResult.transfers.unmatched.length} zonder tegenhanger
+                  </summary>
+                  <div className="table-wrap">
+                    <table>
+                      <thead>
+                        <tr>
+                          <th>Van (rij)</th>
+                          <th>Naar (rij)</th>
+                          <th>Datum</th>
+                          <th>Bedrag</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importResult.transfers.pairs.map((pair) => (
+                          <tr key={`transfer-${pair.from.row}`}>
+                            <td>
+                              {pair.from.group} ({pair.from.row})
+                            </td>
+                            <td>
+                              {pair.to.group} ({pair.to.row})
+                            </td>
+                            <td>
+                              {pair.from.date === pair.to.date
+                                ? pair.from.date
+                                : `${pair.from.date} / ${pair.to.date}`}
+                            </td>
+                            <td>{formatCents(-pair.from.amount)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {importResult.transfers.unmatched.length > 0 && (
+                    <>
+                      <p className="info">
+                        Zonder tegenhanger in dit bestand (worden als gewone transactie geïmporteerd):
+                      </p>
+                      <ul>
+                        {importResult.transfers.unmatched.map((half) => (
+                          <li key={`unmatched-${half.row}`}>
+                            rij {half.row} ({half.group} → {half.counterpartyGroup}): {half.date}{' '}
+                            {formatCents(half.amount)}
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </details>
+              )}
+            {importResult.categoryCheck && importResult.categoryCheck.status !== 'checked' && (
+              <p className="info">Categoriecontrole: {importResult.categoryCheck.reason}</p>
+            )}
+            {importResult.dryRun && importResult.categoryCheck?.unknownCategories?.length > 0 && (
+              <details open>
+                <summary>Onbekende categorieën ({importResult.categoryCheck.unknownCategories.length})</summary>
+                {!categories.length && (
+                  <p className="info">Haal eerst de categorieën op bij stap 3 om ze te kunnen koppelen.</p>
+                )}
+                <div className="table-wrap">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Waarde in bestand</th>
+                        <th>Rijen</th>
+                        <th>Actual categorie</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {importResult.categoryCheck.unknownCategories.map((unknown) => {
+                        const key = unknown.value.trim().toLowerCase();
+                        return (
+                          <tr key={`category-${key}`}>
+                            <td>{unknown.value}</td>
+                            <td>{unknown.count}</td>
+                            <td>
+                              <select
+                                value={categoryDrafts[key] || ''}
+                                onChange={(event) =>
+                                  setCategoryDrafts((prev) => ({ ...prev, [key]: event.target.value }))
+                                }
+                              >
+                                <option value="">-- Geen categorie --</option>
+                                {categories.map((category) => (
+                                  <option key={category.id} value={category.id}>
+                                    {category.group ? `${category.group}: ${category.name}` : category.name}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+                <button type="button" onClick={saveCategoryMappings} disabled={!categories.length}>
+                  Koppelingen onthouden
+                </button>
+              </details>
+            )}
             <ul>
               {(importResult.groups || []).map((group) => (
                 <li key={`result-${group.group}`}>
                   groep <strong>{group.group}</strong>: {group.transactionCount} transacties, {group.invalidCount}{' '}
                   ongeldig
+                  {group.transferCount > 0 && `, ${group.transferCount} overboekingen`}
+                  {(group.invalidRows || []).length > 0 && (
+                    <details>
+                      <summary>Toon ongeldige rijen</summary>
+                      <ul>
+                        {group.invalidRows.slice(0, 50).map((invalid) => (
+                          <li key={`invalid-${group.group}-${invalid.row}`}>
+                            rij {invalid.row}: {invalid.errors.join(' ')}
+                          </li>
+                        ))}
+                      </ul>
+                      {group.invalidRows.length > 50 && (
+                        <p className="info">En nog {group.invalidRows.length - 50} ongeldige rijen.</p>
+                      )}
+                    </details>
+                  )}
+                  {group.balanceCheck && group.balanceCheck.status !== 'skipped' && (
+                    <p className="info">
+                      Saldo volgens bestand op {group.balanceCheck.closingDate}:{' '}
+                      {formatCents(group.balanceCheck.closingBalance)}
+                      {group.balanceCheck.status === 'checked' && (
+                        <>
+                          , in Actual na import: {formatCents(group.balanceCheck.projectedBalance)} (verschil{' '}
+                          {formatCents(group.balanceCheck.difference)})
+                        </>
+                      )}
+                      {group.balanceCheck.reason && `. ${group.balanceCheck.reason}`}
+                    </p>
+                  )}
+                  {group.balanceCheck?.divergence && (
+                    <p className="info">
+                      Saldo loopt niet door vanaf rij {group.balanceCheck.divergence.row} (
+                      {group.balanceCheck.divergence.date}): verwacht{' '}
+                      {formatCents(group.balanceCheck.divergence.expected)}, in bestand{' '}
+                      {formatCents(group.balanceCheck.divergence.found)}. Er ontbreekt daar een transactie of er staat
+                      er een dubbel in.
+                    </p>
+                  )}
+                  {group.duplicateCheck && group.duplicateCheck.status !== 'checked' && (
+                    <p className="info">Dubbelencontrole overgeslagen: {group.duplicateCheck.reason}</p>
+                  )}
+                  {group.duplicateCheck?.status === 'checked' && (
+                    <p className="info">
+                      {group.duplicateCheck.newCount} nieuw, {group.duplicateCheck.exact.length} dubbel,{' '}
+                      {group.duplicateCheck.probable.length} waarschijnlijk dubbel (
+                      {group.duplicateCheck.startDate} t/m{' '}
+                      {group.duplicateCheck.endDate})
+                    </p>
+                  )}
+                  {[...(group.duplicateCheck?.exact || []), ...(group.duplicateCheck?.probable || [])].length > 0 && (
+                    <details open>
+                      <summary>Mogelijke dubbelen uitsluiten</summary>
+                      <div className="table-wrap">
+                        <table>
+                          <thead>
+                            <tr>
+                              <th>Uitsluiten</th>
+                              <th>Rij</th>
+                              <th>Datum</th>
+                              <th>Bedrag</th>
+                              <th>Payee (CSV)</th>
+                              <th>Payee (Actual)</th>
+                              <th>Reden</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {[...group.duplicateCheck.exact, ...group.duplicateCheck.probable].map((duplicate) => (
+                              <tr key={`duplicate-${duplicate.row}`}>
+                                <td>
+                                  <input
+                                    type="checkbox"
+                                    checked={excludedRows.includes(duplicate.row)}
+                                    onChange={(event) => toggleExcludedRow(duplicate.row, event.target.checked)}
+                                  />
+                                </td>
+                                <td>{duplicate.row}</td>
+                                <td>{duplicate.date}</td>
+                                <td>{formatCents(duplicate.amount)}</td>
+                                <td>{duplicate.payee}</td>
+                                <td>{duplicate.match.payee}</td>
+                                <td>{duplicate.reason}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </details>
+                  )}
+                  {(group.warningRows || []).length > 0 && (
+                    <details>
+                      <summary>Toon waarschuwingen ({group.warningRows.length})</summary>
+                      <ul>
+                        {group.warningRows.slice(0, 50).map((warning) => (
+                          <li key={`warning-${group.group}-${warning.row}`}>
+                            rij {warning.row}: {warning.warnings.join(' ')}
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </section>
+
+      <section className="card">
+        <h2>6) Importgeschiedenis</h2>
+        <div className="row">
+          <button type="button" onClick={loadHistory} disabled={loadingHistory}>
+            {loadingHistory ? 'Bezig...' : 'Vernieuwen'}
+          </button>
+        </div>
+
+        {!history.length && <p className="info">Nog geen imports uitgevoerd.</p>}
+
+        {history.length > 0 && (
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Tijdstip</th>
+                  <th>Bestand</th>
+                  <th>Budget</th>
+                  <th>Status</th>
+                  <th>Geïmporteerd</th>
+                  <th>Ongeldig</th>
+                  <th>Acties</th>
+                </tr>
+              </thead>
+              <tbody>
+                {history.map((batch) => (
+                  <tr key={batch.id}>
+                    <td>{new Date(batch.createdAt).toLocaleString('nl-NL')}</td>
+                    <td>{batch.fileName}</td>
+                    <td>{batch.budgetId || '-'}</td>
+                    <td>
+                      {batch.status}
+                      {batch.mock ? ' (mock)' : ''}
+                      {batch.rollback?.complete ? ', teruggedraaid' : ''}
+                      {batch.rollback && !batch.rollback.complete ? ', deels teruggedraaid' : ''}
+                    </td>
+                    <td>
+                      {batch.totalImported} / {batch.totalTransactions}
+                    </td>
+                    <td>{batch.totalInvalid}</td>
+                    <td className="row">
+                      <button type="button" onClick={() => toggleHistoryDetail(batch.id)}>
+                        {historyDetail?.id === batch.id ? 'Verberg' : 'Details'}
+                      </button>
+                      <a href={`/api/imports/${encodeURIComponent(batch.id)}/report?format=csv`} download>
+                        CSV
+                      </a>
+                      <a href={`/api/imports/${encodeURIComponent(batch.id)}/report?format=json`} download>
+                        JSON
+                      </a>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {historyDetail && (
+          <div className="result">
+            <p>
+              Import {historyDetail.id} van {new Date(historyDetail.createdAt).toLocaleString('nl-NL')} (
+              {historyDetail.fileName})
+            </p>
+            {historyDetail.error && (
+              <p>
+                Fout in groep <strong>{historyDetail.error.group}</strong>: {historyDetail.error.details}
+              </p>
+            )}
+            <ul>
+              {historyDetail.groups.map((group) => (
+                <li key={`history-${group.group}`}>
+                  groep <strong>{group.group}</strong> → account {group.accountId || '-'}:{' '}
+                  {group.importedCount ?? 0} geïmporteerd, {group.invalidCount} ongeldig
+                  {(group.invalidRows || []).length > 0 && (
+                    <details>
+                      <summary>Toon ongeldige rijen</summary>
+                      <ul>
+                        {group.invalidRows.map((invalid) => (
+                          <li key={`history-invalid-${group.group}-${invalid.row}`}>
+                            rij {invalid.row}: {invalid.errors.join(' ')}
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                  {group.actualResponse && (
+                    <details>
+                      <summary>Antwoord van Actual</summary>
+                      <pre>{stringifyDebugValue(group.actualResponse)}</pre>
+                    </details>
+                  )}
                 </li>
               ))}
             </ul>
+
+            {!historyDetail.rollback?.complete && historyDetail.totalImported > 0 && (
+              <div className="row">
+                <button
+                  type="button"
+                  onClick={() => runRollback(historyDetail.id, false)}
+                  disabled={loadingRollback}
+                >
+                  {loadingRollback && !rollbackPreview ? 'Bezig...' : 'Import terugdraaien (controle)'}
+                </button>
+              </div>
+            )}
+
+            {rollbackPreview?.importId === historyDetail.id && (
+              <div className="result">
+                <p>
+                  Te verwijderen: {rollbackPreview.totalToDelete} transacties
+                  {rollbackPreview.totalMissing > 0 && `, ${rollbackPreview.totalMissing} niet meer gevonden in Actual`}
+                </p>
+                {rollbackPreview.groups.map((group) => (
+                  <details key={`rollback-${group.group}`}>
+                    <summary>
+                      groep {group.group} → account {group.accountId}: {group.transactions.length} transacties
+                    </summary>
+                    <div className="table-wrap">
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Datum</th>
+                            <th>Bedrag</th>
+                            <th>Payee</th>
+                            <th>Unieke ID</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {group.transactions.map((transaction) => (
+                            <tr key={`rollback-${transaction.id || transaction.imported_id}`}>
+                              <td>{transaction.date}</td>
+                              <td>{formatCents(transaction.amount)}</td>
+                              <td>{transaction.payee}</td>
+                              <td>{transaction.imported_id}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </details>
+                ))}
+                <div className="row">
+                  <button
+                    type="button"
+                    onClick={() => runRollback(historyDetail.id, true)}
+                    disabled={loadingRollback || !rollbackPreview.totalToDelete}
+                  >
+                    {loadingRollback ? 'Bezig...' : `Bevestig: verwijder ${rollbackPreview.totalToDelete} transacties`}
+                  </button>
+                  <button type="button" onClick={() => setRollbackPreview(null)} disabled={loadingRollback}>
+                    Annuleren
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
         )}
       </section>
@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react';
+
+export default function ConnectionProfiles({ actualConfig, onChange }) {
+  const [enabled, setEnabled] = useState(false);
+  const [profiles, setProfiles] = useState([]);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [info, setInfo] = useState('');
+
+  const selected = profiles.find((profile) => profile.id === actualConfig.profileId) || null;
+
+  async function loadProfiles() {
+    try {
+      const response = await fetch('/api/connection-profiles');
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setInfo(payload.error || 'Verbindingsprofielen ophalen mislukt.');
+        return [];
+      }
+
+      setEnabled(Boolean(payload.enabled));
+      setProfiles(payload.profiles || []);
+      return payload.profiles || [];
+    } catch (error) {
+      setInfo(`Netwerkfout tijdens profielen ophalen: ${error.message}`);
+      return [];
+    }
+  }
+
+  useEffect(() => {
+    loadProfiles();
+  }, []);
+
+  function selectProfile(profileId, list = profiles) {
+    const profile = list.find((item) => item.id === profileId);
+    setInfo('');
+    onChange({
+      profileId: profile ? profile.id : '',
+      serverUrl: profile ? profile.serverUrl : actualConfig.serverUrl,
+      // The stored password stays on the server.
+      password: '',
+      budgetId: profile?.budgetId || actualConfig.budgetId
+    });
+  }
+
+  async function saveProfile() {
+    setSaving(true);
+    setInfo('');
+
+    try {
+      const response = await fetch(
+        selected ? `/api/connection-profiles/${encodeURIComponent(selected.id)}` : '/api/connection-profiles',
+        {
+          method: selected ? 'PUT' : 'POST',
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify({
+            name: selected ? selected.name : name,
+            serverUrl: actualConfig.serverUrl,
+            password: actualConfig.password,
+            budgetId: actualConfig.budgetId
+          })
+        }
+      );
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setInfo([payload.error, payload.hint].filter(Boolean).join(' ') || 'Profiel opslaan mislukt.');
+        return;
+      }
+
+      setName('');
+      selectProfile(payload.profile.id, await loadProfiles());
+      setInfo(`Profiel '${payload.profile.name}' opgeslagen.`);
+    } catch (error) {
+      setInfo(`Netwerkfout tijdens profiel opslaan: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function deleteProfile() {
+    if (!selected || !window.confirm(`Profiel '${selected.name}' verwijderen?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/connection-profiles/${encodeURIComponent(selected.id)}`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => ({}));
+        setInfo(payload.error || 'Profiel verwijderen mislukt.');
+        return;
+      }
+
+      selectProfile('', await loadProfiles());
+    } catch (error) {
+      setInfo(`Netwerkfout tijdens profiel verwijderen: ${error.message}`);
+    }
+  }
+
+  if (!enabled) {
+    return (
+      <p className="info">
+        Stel ACTUAL_PROFILES_KEY in op de server om verbindingen versleuteld op te slaan, dan hoeft het wachtwoord
+        niet elke keer opnieuw.
+      </p>
+    );
+  }
+
+  return (
+    <div className="connection-profiles">
+      <div className="row">
+        <label>
+          Verbindingsprofiel
+          <select value={actualConfig.profileId || ''} onChange={(event) => selectProfile(event.target.value)}>
+            <option value="">-- Geen profiel (handmatig) --</option>
+            {profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name} ({profile.serverUrl})
+              </option>
+            ))}
+          </select>
+        </label>
+        {!selected && (
+          <label>
+            Opslaan als
+            <input type="text" value={name} onChange={(event) => setName(event.target.value)} placeholder="Thuis" />
+          </label>
+        )}
+        <button
+          type="button"
+          onClick={saveProfile}
+          disabled={saving || (!selected && (!name.trim() || !actualConfig.password))}
+        >
+          {saving ? 'Bezig...' : selected ? 'Profiel bijwerken' : 'Profiel opslaan'}
+        </button>
+        {selected && (
+          <button type="button" onClick={deleteProfile}>
+            Verwijderen
+          </button>
+        )}
+      </div>
+      {info && <p className="info">{info}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react';
+import { formatCents } from './format.js';
+
+export default function CreateAccountForm({
+  sessionId,
+  group,
+  settings,
+  headers,
+  defaultBalance,
+  actualConfig,
+  onCreated,
+  onCancel
+}) {
+  const [name, setName] = useState(group === 'all' ? '' : group);
+  const [offBudget, setOffBudget] = useState(false);
+  const [balanceColumn, setBalanceColumn] = useState(
+    headers.includes(defaultBalance?.column) ? defaultBalance.column : ''
+  );
+  const [balanceTiming, setBalanceTiming] = useState(defaultBalance?.timing || 'after');
+  const [initialBalance, setInitialBalance] = useState('');
+  const [initialBalanceDate, setInitialBalanceDate] = useState('');
+  const [balanceInfo, setBalanceInfo] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!balanceColumn) {
+      setBalanceInfo('');
+      return;
+    }
+
+    let cancelled = false;
+    fetch(`/api/sessions/${encodeURIComponent(sessionId)}/opening-balance`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ ...settings, group, balanceColumn, balanceTiming })
+    })
+      .then((response) => response.json().then((payload) => ({ response, payload })))
+      .then(({ response, payload }) => {
+        if (cancelled) {
+          return;
+        }
+
+        if (!response.ok) {
+          setBalanceInfo(payload.error || 'Beginsaldo berekenen mislukt.');
+          return;
+        }
+
+        setInitialBalance(formatCents(payload.balance));
+        // Booked on the date of the first row, so it precedes every imported transaction.
+        setInitialBalanceDate(payload.date);
+        setBalanceInfo(`Saldo vóór ${payload.date} (rij ${payload.row}).`);
+      })
+      .catch((fetchError) => {
+        if (!cancelled) {
+          setBalanceInfo(`Netwerkfout tijdens beginsaldo berekenen: ${fetchError.message}`);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [sessionId, group, balanceColumn, balanceTiming]);
+
+  async function createAccount() {
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/actual/create-account', {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ ...actualConfig, name, offBudget, initialBalance, initialBalanceDate })
+      });
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok && payload.account) {
+        await onCreated(payload.account, [payload.error, payload.details, payload.hint].filter(Boolean).join(' '));
+        return;
+      }
+
+      if (!response.ok) {
+        setError([payload.error, payload.details].filter(Boolean).join(' ') || 'Account aanmaken mislukt.');
+        return;
+      }
+
+      await onCreated(payload.account);
+    } catch (fetchError) {
+      setError(`Netwerkfout tijdens account aanmaken: ${fetchError.message}`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="create-account">
+      <div className="grid3">
+        <label>
+          Accountnaam
+          <input type="text" value={name} onChange={(event) => setName(event.target.value)} />
+        </label>
+        <label>
+          Saldokolom
+          <select value={balanceColumn} onChange={(event) => setBalanceColumn(event.target.value)}>
+            <option value="">-- Geen (beginsaldo handmatig) --</option>
+            {headers.map((header) => (
+              <option key={`balance-${header}`} value={header}>
+                {header}
+              </option>
+            ))}
+          </select>
+        </label>
+        {balanceColumn && (
+          <label>
+            Saldo in kolom
+            <select value={balanceTiming} onChange={(event) => setBalanceTiming(event.target.value)}>
+              <option value="after">na de transactie</option>
+              <option value="before">vóór de transactie</option>
+            </select>
+          </label>
+        )}
+        <label>
+          Beginsaldo
+          <input
+            type="text"
+            value={initialBalance}
+            onChange={(event) => setInitialBalance(event.target.value)}
+            placeholder="0,00"
+          />
+        </label>
+        <label>
+          Datum beginsaldo
+          <input
+            type="date"
+            value={initialBalanceDate}
+            onChange={(event) => setInitialBalanceDate(event.target.value)}
+            title="Leeg is vandaag"
+          />
+        </label>
+        <label className="row">
+          <input type="checkbox" checked={offBudget} onChange={(event) => setOffBudget(event.target.checked)} />
+          Off-budget (bijv. spaarrekening)
+        </label>
+      </div>
+      {balanceInfo && <p className="info">{balanceInfo}</p>}
+      <div className="row">
+        <button type="button" onClick={createAccount} disabled={saving || !name.trim()}>
+          {saving ? 'Bezig...' : 'Account aanmaken in Actual'}
+        </button>
+        <button type="button" onClick={onCancel} disabled={saving}>
+          Annuleren
+        </button>
+      </div>
+      {error && <p className="info">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,265 @@
+import { useEffect, useState } from 'react';
+
+const OPERATORS = [
+  { value: 'contains', label: 'bevat' },
+  { value: 'regex', label: 'regex' },
+  { value: 'iban', label: 'IBAN is' }
+];
+
+const EMPTY_RULE = {
+  name: '',
+  column: '',
+  operator: 'contains',
+  value: '',
+  actions: { payee: '', notes: '', category: '', skip: false }
+};
+
+function describeRule(rule) {
+  const operator = OPERATORS.find((item) => item.value === rule.operator)?.label || rule.operator;
+  const actions = [
+    rule.actions.payee && `payee → ${rule.actions.payee}`,
+    rule.actions.notes && `notes → ${rule.actions.notes}`,
+    rule.actions.category && `categorie → ${rule.actions.category}`,
+    rule.actions.skip && 'overslaan'
+  ].filter(Boolean);
+
+  return `${rule.column || 'elke kolom'} ${operator} '${rule.value}': ${actions.join(', ')}`;
+}
+
+export default function PayeeRules({ headers, onChange }) {
+  const [rules, setRules] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_RULE);
+  const [editingId, setEditingId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  async function send(endpoint, method, body) {
+    setSaving(true);
+    try {
+      const response = await fetch(endpoint, {
+        method,
+        headers: { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        setError(payload.error || 'Regel opslaan mislukt.');
+        return null;
+      }
+
+      setError('');
+      return payload;
+    } catch (fetchError) {
+      setError(`Netwerkfout tijdens regels opslaan: ${fetchError.message}`);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function loadRules() {
+    const payload = await send('/api/payee-rules', 'GET');
+    if (payload) {
+      setRules(payload.rules || []);
+    }
+  }
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  async function afterChange() {
+    await loadRules();
+    onChange();
+  }
+
+  function updateDraft(key, value) {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function updateAction(key, value) {
+    setDraft((prev) => ({ ...prev, actions: { ...prev.actions, [key]: value } }));
+  }
+
+  async function saveDraft() {
+    const endpoint = editingId ? `/api/payee-rules/${encodeURIComponent(editingId)}` : '/api/payee-rules';
+    const payload = await send(endpoint, editingId ? 'PUT' : 'POST', draft);
+    if (payload) {
+      setDraft(EMPTY_RULE);
+      setEditingId('');
+      await afterChange();
+    }
+  }
+
+  function editRule(rule) {
+    setEditingId(rule.id);
+    setDraft({ ...EMPTY_RULE, ...rule, actions: { ...EMPTY_RULE.actions, ...rule.actions } });
+  }
+
+  async function toggleRule(rule) {
+    if (await send(`/api/payee-rules/${encodeURIComponent(rule.id)}`, 'PUT', { enabled: !rule.enabled })) {
+      await afterChange();
+    }
+  }
+
+  async function removeRule(rule) {
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/payee-rules/${encodeURIComponent(rule.id)}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const payload = await response.json().catch(() => ({}));
+        setError(payload.error || 'Regel verwijderen mislukt.');
+        return;
+      }
+    } catch (fetchError) {
+      setError(`Netwerkfout tijdens regel verwijderen: ${fetchError.message}`);
+      return;
+    } finally {
+      setSaving(false);
+    }
+
+    if (editingId === rule.id) {
+      setEditingId('');
+      setDraft(EMPTY_RULE);
+    }
+    await afterChange();
+  }
+
+  async function moveRule(index, offset) {
+    const ids = rules.map((rule) => rule.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + offset, 0, moved);
+    if (await send('/api/payee-rules/order', 'PUT', { ids })) {
+      await afterChange();
+    }
+  }
+
+  return (
+    <details className="rules-box">
+      <summary>Payee-regels ({rules.filter((rule) => rule.enabled).length} actief)</summary>
+      <p className="info">
+        Regels worden in volgorde toegepast op elke rij, vóór datum en bedrag worden verwerkt. Bij regex kun je $1,
+        $2 ... gebruiken om delen van de gevonden tekst over te nemen.
+      </p>
+
+      {rules.length > 0 && (
+        <ol className="rules-list">
+          {rules.map((rule, index) => (
+            <li key={rule.id} className={rule.enabled ? '' : 'rule-disabled'}>
+              <span>
+                <strong>{rule.name || rule.value}</strong> {describeRule(rule)}
+              </span>
+              <span className="row">
+                <button type="button" onClick={() => moveRule(index, -1)} disabled={saving || index === 0}>
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveRule(index, 1)}
+                  disabled={saving || index === rules.length - 1}
+                >
+                  ↓
+                </button>
+                <button type="button" onClick={() => toggleRule(rule)} disabled={saving}>
+                  {rule.enabled ? 'Uitzetten' : 'Aanzetten'}
+                </button>
+                <button type="button" onClick={() => editRule(rule)} disabled={saving}>
+                  Bewerken
+                </button>
+                <button type="button" onClick={() => removeRule(rule)} disabled={saving}>
+                  Verwijderen
+                </button>
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="grid3">
+        <label>
+          Naam
+          <input type="text" value={draft.name} onChange={(event) => updateDraft('name', event.target.value)} />
+        </label>
+        <label>
+          Kolom
+          <select value={draft.column} onChange={(event) => updateDraft('column', event.target.value)}>
+            <option value="">Elke kolom</option>
+            {headers.map((header) => (
+              <option key={`rule-column-${header}`} value={header}>
+                {header}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Vergelijking
+          <select value={draft.operator} onChange={(event) => updateDraft('operator', event.target.value)}>
+            {OPERATORS.map((operator) => (
+              <option key={operator.value} value={operator.value}>
+                {operator.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Zoekwaarde
+          <input
+            type="text"
+            value={draft.value}
+            onChange={(event) => updateDraft('value', event.target.value)}
+            placeholder={draft.operator === 'regex' ? '^Apple Pay (.*)$' : 'BEA, Betaalpas'}
+          />
+        </label>
+        <label>
+          Payee wordt
+          <input
+            type="text"
+            value={draft.actions.payee}
+            onChange={(event) => updateAction('payee', event.target.value)}
+          />
+        </label>
+        <label>
+          Notes worden
+          <input
+            type="text"
+            value={draft.actions.notes}
+            onChange={(event) => updateAction('notes', event.target.value)}
+          />
+        </label>
+        <label>
+          Categorie
+          <input
+            type="text"
+            value={draft.actions.category}
+            onChange={(event) => updateAction('category', event.target.value)}
+          />
+        </label>
+        <label className="row">
+          <input
+            type="checkbox"
+            checked={draft.actions.skip}
+            onChange={(event) => updateAction('skip', event.target.checked)}
+          />
+          Rij overslaan
+        </label>
+      </div>
+      <div className="row">
+        <button type="button" onClick={saveDraft} disabled={saving}>
+          {editingId ? 'Regel bijwerken' : 'Regel toevoegen'}
+        </button>
+        {editingId && (
+          <button
+            type="button"
+            onClick={() => {
+              setEditingId('');
+              setDraft(EMPTY_RULE);
+            }}
+          >
+            Annuleren
+          </button>
+        )}
+      </div>
+      {error && <p className="info">{error}</p>}
+    </details>
+  );
+}
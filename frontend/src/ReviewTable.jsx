@@ -0,0 +1,279 @@
+import { useEffect, useState } from 'react';
+import { formatCents } from './format.js';
+
+const PAGE_SIZE = 50;
+
+const DUPLICATE_LABELS = {
+  exact: 'Dubbel',
+  probable: 'Waarschijnlijk dubbel'
+};
+
+function EditableCell({ value, onSave, placeholder }) {
+  const [draft, setDraft] = useState(value ?? '');
+
+  useEffect(() => {
+    setDraft(value ?? '');
+  }, [value]);
+
+  function commit() {
+    if (draft !== (value ?? '')) {
+      onSave(draft);
+    }
+  }
+
+  return (
+    <input
+      className="cell-input"
+      type="text"
+      value={draft}
+      placeholder={placeholder}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') {
+          event.currentTarget.blur();
+        }
+        if (event.key === 'Escape') {
+          setDraft(value ?? '');
+        }
+      }}
+    />
+  );
+}
+
+export default function ReviewTable({ sessionId, settings, groups, version, onUpdateRows }) {
+  const [filters, setFilters] = useState({ group: '', validity: '', duplicate: '', excluded: '' });
+  const [page, setPage] = useState(1);
+  const [review, setReview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setPage(1);
+  }, [sessionId, filters]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setLoading(true);
+      fetch(`/api/sessions/${encodeURIComponent(sessionId)}/review`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ ...settings, filters, page, pageSize: PAGE_SIZE })
+      })
+        .then((response) => response.json().then((payload) => ({ response, payload })))
+        .then(({ response, payload }) => {
+          if (cancelled) {
+            return;
+          }
+
+          if (!response.ok) {
+            setError(payload.error || 'Transacties ophalen mislukt.');
+            return;
+          }
+
+          setError('');
+          setReview(payload);
+        })
+        .catch((fetchError) => {
+          if (!cancelled) {
+            setError(`Netwerkfout tijdens transacties ophalen: ${fetchError.message}`);
+          }
+        })
+        .finally(() => {
+          if (!cancelled) {
+            setLoading(false);
+          }
+        });
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    sessionId,
+    settings.mapping,
+    settings.amountFormat,
+    settings.dateFormat,
+    settings.groupByColumn,
+    filters,
+    page,
+    version
+  ]);
+
+  function updateFilter(key, value) {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function saveEdit(row, field, value) {
+    onUpdateRows([{ row: row.row, edits: { [field]: value } }]);
+  }
+
+  function setPageExcluded(excluded) {
+    onUpdateRows((review?.rows || []).map((row) => ({ row: row.row, excluded })));
+  }
+
+  return (
+    <div className="review">
+      <div className="grid3">
+        <label>
+          Groep
+          <select value={filters.group} onChange={(event) => updateFilter('group', event.target.value)}>
+            <option value="">Alle groepen</option>
+            {groups.map(({ group }) => (
+              <option key={`review-group-${group}`} value={group}>
+                {group}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Geldigheid
+          <select value={filters.validity} onChange={(event) => updateFilter('validity', event.target.value)}>
+            <option value="">Alle rijen</option>
+            <option value="valid">Geldig</option>
+            <option value="invalid">Ongeldig</option>
+            <option value="warning">Met waarschuwing</option>
+          </select>
+        </label>
+        <label>
+          Dubbelen (na dry-run)
+          <select value={filters.duplicate} onChange={(event) => updateFilter('duplicate', event.target.value)}>
+            <option value="">Alle rijen</option>
+            <option value="new">Nieuw</option>
+            <option value="flagged">Gemarkeerd</option>
+            <option value="exact">Dubbel</option>
+            <option value="probable">Waarschijnlijk dubbel</option>
+          </select>
+        </label>
+        <label>
+          Selectie
+          <select value={filters.excluded} onChange={(event) => updateFilter('excluded', event.target.value)}>
+            <option value="">Alle rijen</option>
+            <option value="included">Meegenomen</option>
+            <option value="excluded">Uitgesloten</option>
+            <option value="skipped">Overgeslagen door regel</option>
+            <option value="edited">Bewerkt</option>
+            <option value="ruled">Regels toegepast</option>
+          </select>
+        </label>
+      </div>
+
+      {error && <p className="info">{error}</p>}
+
+      {review && (
+        <>
+          <p className="info">
+            {review.total} van {review.totalRows} rijen, {review.excludedCount} uitgesloten, {review.editedCount}{' '}
+            bewerkt{loading ? ' (bijwerken...)' : ''}. Bedragen bewerken in notatie 1.234,56; datums als JJJJ-MM-DD.
+          </p>
+          <div className="row">
+            <button type="button" onClick={() => setPageExcluded(false)} disabled={!review.rows.length}>
+              Pagina meenemen
+            </button>
+            <button type="button" onClick={() => setPageExcluded(true)} disabled={!review.rows.length}>
+              Pagina uitsluiten
+            </button>
+          </div>
+          <div className="table-wrap">
+            <table>
+              <thead>
+                <tr>
+                  <th>Import</th>
+                  <th>Rij</th>
+                  <th>Groep</th>
+                  <th>Datum</th>
+                  <th>Bedrag</th>
+                  <th>Payee</th>
+                  <th>Notes</th>
+                  <th>Categorie</th>
+                  <th>Regels</th>
+                  <th>Status</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {review.rows.map((row) => (
+                  <tr
+                    key={`review-${row.row}`}
+                    className={[row.errors.length ? 'row-invalid' : '', row.excluded ? 'row-excluded' : '']
+                      .filter(Boolean)
+                      .join(' ')}
+                  >
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={!row.excluded}
+                        disabled={row.skipped}
+                        title={row.skipped ? 'Overgeslagen door een payee-regel' : undefined}
+                        onChange={(event) => onUpdateRows([{ row: row.row, excluded: !event.target.checked }])}
+                      />
+                    </td>
+                    <td>{row.row}</td>
+                    <td>{row.group}</td>
+                    <td>
+                      <EditableCell
+                        value={row.date || ''}
+                        placeholder={row.source?.date}
+                        onSave={(value) => saveEdit(row, 'date', value)}
+                      />
+                    </td>
+                    <td>
+                      <EditableCell
+                        value={formatCents(row.amount)}
+                        placeholder={row.source?.amount}
+                        onSave={(value) => saveEdit(row, 'amount', value)}
+                      />
+                    </td>
+                    <td>
+                      <EditableCell value={row.payee} onSave={(value) => saveEdit(row, 'payee', value)} />
+                    </td>
+                    <td>
+                      <EditableCell value={row.notes} onSave={(value) => saveEdit(row, 'notes', value)} />
+                    </td>
+                    <td>{row.category}</td>
+                    <td>{row.appliedRules.map((rule) => rule.name).join(', ')}</td>
+                    <td>
+                      {[
+                        ...row.errors,
+                        ...row.warnings,
+                        DUPLICATE_LABELS[row.duplicate],
+                        row.skipped ? 'Overgeslagen' : '',
+                        row.edited ? 'Bewerkt' : ''
+                      ]
+                        .filter(Boolean)
+                        .join(' ') || 'OK'}
+                    </td>
+                    <td>
+                      {row.edited && (
+                        <button type="button" onClick={() => onUpdateRows([{ row: row.row, edits: null }])}>
+                          Herstel
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="row pagination">
+            <button type="button" onClick={() => setPage((prev) => prev - 1)} disabled={review.page <= 1}>
+              Vorige
+            </button>
+            <span>
+              Pagina {review.page} van {review.pageCount}
+            </span>
+            <button
+              type="button"
+              onClick={() => setPage((prev) => prev + 1)}
+              disabled={review.page >= review.pageCount}
+            >
+              Volgende
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+export function formatCents(cents) {
+  if (cents === null || cents === undefined) {
+    return '';
+  }
+
+  return (cents / 100).toLocaleString('nl-NL', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
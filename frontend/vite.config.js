@@ -10,6 +10,10 @@ export default defineConfig({
       '/api': {
         target: process.env.VITE_API_BASE || 'http://localhost:3000',
         changeOrigin: true
+      },
+      '/login': {
+        target: process.env.VITE_API_BASE || 'http://localhost:3000',
+        changeOrigin: true
       }
     }
   }